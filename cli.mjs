@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+/**
+ * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node cli.mjs <command> [options]
+ */
+import fs from 'node:fs'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import dotenv from 'dotenv'
+import { GRANULARITIES, validateGranularity, validateTimeZone } from './lib/buckets.mjs'
+import { DIMENSIONS, parseDimensions } from './lib/breakdown.mjs'
+import { FORMATS, UNITS, COLUMN_MODES, parseFormats, parseUnit, parseColumnMode, parseDate } from './lib/report.mjs'
+import { MODELS, CONFIDENCE_LEVELS, parseModels, parseConfidence } from './lib/forecast.mjs'
+import { SNAPSHOT_MODES, METRIC_KINDS, parseSnapshotMode, parseMetricKind, parseDimensionFilter } from './lib/metrics.mjs'
+import { BASES, COMPARISONS, parseBasis, parseComparison } from './lib/reconcile.mjs'
+import { SOURCE_KINDS, parseSources } from './lib/denylist-sources.mjs'
+
+dotenv.config()
+
+/**
+ * Options shared by all commands, plus the command's own flags (camelCased)
+ * and positional arguments. Commands apply their own defaults for anything
+ * left undefined.
+ *
+ * @typedef {{
+ *   outDir: string
+ *   state?: string
+ *   pageSize?: number
+ *   concurrency?: number
+ *   args: string[]
+ *   help?: boolean
+ *   shards?: number
+ *   input?: string
+ *   checkpoint?: number
+ *   granularity?: import('./lib/buckets.mjs').Granularity
+ *   tz?: string
+ *   by?: import('./lib/breakdown.mjs').Dimension[]
+ *   topUsers?: number
+ *   format?: string[]
+ *   unit?: import('./lib/report.mjs').Unit
+ *   columns?: import('./lib/report.mjs').ColumnMode
+ *   from?: string
+ *   to?: string
+ *   window?: number
+ *   ahead?: number
+ *   model?: import('./lib/forecast.mjs').Model[]
+ *   confidence?: number
+ *   snapshot?: import('./lib/filecoin.mjs').SnapshotMode
+ *   interpolate?: boolean
+ *   basis?: import('./lib/reconcile.mjs').Basis
+ *   compare?: import('./lib/reconcile.mjs').Comparison
+ *   threshold?: number
+ *   drillDown?: boolean
+ *   kind?: import('./lib/metrics.mjs').MetricKind
+ *   dimensions?: import('./lib/metrics.mjs').DimensionFilter
+ *   sources?: import('./lib/denylist-sources.mjs').Source[]
+ *   reason?: string
+ *   dryRun?: boolean
+ *   yes?: boolean
+ *   blocks?: boolean
+ *   cache?: string
+ *   cacheSize?: number
+ * }} Options
+ */
+
+/**
+ * @typedef {{
+ *   type: 'string'|'boolean'
+ *   short?: string
+ *   arg?: string
+ *   description: string
+ *   parse?: (value: string, name: string) => any
+ * }} Flag
+ */
+
+/**
+ * @typedef {{
+ *   module: string
+ *   fn?: string
+ *   description: string
+ *   args?: string
+ *   flags?: Record<string, Flag>
+ * }} Command
+ */
+
+/**
+ * @param {string} value
+ * @param {string} name
+ */
+const parsePositiveInt = (value, name) => {
+  const n = Number(value)
+  if (!Number.isInteger(n) || n < 1) throw new Error(`invalid value for --${name}: ${value}`)
+  return n
+}
+
+/**
+ * A percentage, as a fraction.
+ *
+ * @param {string} value
+ * @param {string} name
+ */
+const parsePercent = (value, name) => {
+  const n = Number(value)
+  if (!value.trim() || !Number.isFinite(n) || n < 0) throw new Error(`invalid value for --${name}: ${value}`)
+  return n / 100
+}
+
+/** @param {string} value */
+const parsePath = value => path.resolve(value)
+
+/** @type {Record<string, Flag>} */
+const sharedFlags = {
+  'out-dir': { type: 'string', arg: '<dir>', description: 'Output directory (default: ./out)', parse: parsePath },
+  state: { type: 'string', arg: '<path>', description: 'State file (default: <out-dir>/<command>.state.json)', parse: parsePath },
+  'page-size': { type: 'string', arg: '<n>', description: 'Rows fetched per database page', parse: parsePositiveInt },
+  concurrency: { type: 'string', arg: '<n>', description: 'Number of concurrent operations', parse: parsePositiveInt },
+  help: { type: 'boolean', short: 'h', description: 'Show help' }
+}
+
+/** @type {Record<string, Flag>} */
+const bucketFlags = {
+  granularity: { type: 'string', arg: '<unit>', description: `Period to total by: ${GRANULARITIES.join(', ')} (default: month)`, parse: validateGranularity },
+  tz: { type: 'string', arg: '<zone>', description: 'IANA time zone periods are taken in (default: UTC)', parse: validateTimeZone }
+}
+
+/** @type {Record<string, Command>} */
+const commands = {
+  count: {
+    module: './count-dag-size.mjs',
+    description: 'Total DAG size of all non-denylisted uploads',
+    flags: {
+      granularity: { ...bucketFlags.granularity, description: `Period uploads of unknown size are logged by: ${GRANULARITIES.join(', ')} (default: month)` },
+      tz: { ...bucketFlags.tz, description: 'IANA time zone those periods are taken in (default: UTC)' },
+      shards: { type: 'string', arg: '<n>', description: 'Split the ID range into n shards scanned concurrently', parse: parsePositiveInt }
+    }
+  },
+  'count monthly': {
+    module: './count-dag-size-monthly.mjs',
+    description: 'DAG size of uploads per period (real and adjusted)',
+    flags: {
+      shards: { type: 'string', arg: '<n>', description: 'Split the ID range into n shards scanned concurrently', parse: parsePositiveInt },
+      ...bucketFlags,
+      by: { type: 'string', arg: '<dims>', description: `Also break totals down by: ${DIMENSIONS.join(', ')} (comma separated)`, parse: parseDimensions },
+      'top-users': { type: 'string', arg: '<n>', description: 'Users listed in the user breakdown (default: 10)', parse: parsePositiveInt }
+    }
+  },
+  'count recompute': {
+    module: './recompute-adjusted.mjs',
+    description: 'Update "count monthly" adjusted totals after the denylist changed'
+  },
+  'count filecoin': {
+    module: './count-filecoin-size-monthly.mjs',
+    description: 'Bytes stored on Filecoin per period',
+    flags: {
+      ...bucketFlags,
+      snapshot: { type: 'string', arg: '<mode>', description: `Sample a period is measured by: ${SNAPSHOT_MODES.join(', ')} (default: end)`, parse: parseSnapshotMode },
+      interpolate: { type: 'boolean', description: 'Fill in periods without samples from the periods either side' }
+    }
+  },
+  'denylist sync': {
+    module: './sync-denylist.mjs',
+    description: 'Sync the denylist from Cloudflare KV and other sources, recording what changed',
+    flags: {
+      sources: { type: 'string', arg: '<sources>', description: `Sources as [name=]kind[:path|url]: ${SOURCE_KINDS.join(', ')} (comma separated, default: kv)`, parse: parseSources }
+    }
+  },
+  'denylist publish': {
+    module: './publish-denylist.mjs',
+    description: 'Add CIDs to the Cloudflare KV denylist',
+    args: '[<cid>[/<path>] ...]',
+    flags: {
+      input: { type: 'string', arg: '<path>', description: 'File of CIDs to add, one per line', parse: parsePath },
+      reason: { type: 'string', arg: '<text>', description: 'Why they are denylisted, recorded in KV' },
+      'dry-run': { type: 'boolean', description: 'Show what would be published, without publishing' },
+      yes: { type: 'boolean', short: 'y', description: 'Publish without asking for confirmation' }
+    }
+  },
+  'denylist stand-in': {
+    module: './publish-denylist.mjs',
+    fn: 'standIn',
+    description: 'Serve a local stand-in for the Cloudflare KV API, for testing',
+    args: '[port]'
+  },
+  'denylist history': {
+    module: './sync-denylist.mjs',
+    fn: 'history',
+    description: 'Show when a CID or anchor was added to and removed from the denylist',
+    args: '<cid|anchor>'
+  },
+  'denylist cars': {
+    module: './denylist-cars.mjs',
+    description: 'List the CARs holding denylisted uploads',
+    flags: {
+      blocks: { type: 'boolean', description: 'List the CARs holding any block of the DAG, not just its root' },
+      cache: { type: 'string', arg: '<path>', description: 'Keep the blocks-cars-position lookup cache in this file between runs', parse: parsePath },
+      'cache-size': { type: 'string', arg: '<n>', description: 'Blocks to cache blocks-cars-position lookups for (default: 100000)', parse: parsePositiveInt }
+    }
+  },
+  'purge plan': {
+    module: './purge.mjs',
+    fn: 'plan',
+    description: 'Plan which CARs listed by "denylist cars" to delete, by bucket',
+    flags: {
+      input: { type: 'string', arg: '<path>', description: 'Output of "denylist cars" (default: <out-dir>/denylist-cars.json)', parse: parsePath }
+    }
+  },
+  'purge execute': {
+    module: './purge.mjs',
+    description: 'Delete the CARs in a purge plan from S3 or R2, resuming where the last run stopped',
+    flags: {
+      input: { type: 'string', arg: '<path>', description: 'Purge plan (default: <out-dir>/purge-plan.json)', parse: parsePath },
+      'dry-run': { type: 'boolean', description: 'Show what would be deleted, without deleting' },
+      yes: { type: 'boolean', short: 'y', description: 'Delete without asking for confirmation' }
+    }
+  },
+  'purge stand-in': {
+    module: './purge.mjs',
+    fn: 'standIn',
+    description: 'Serve a local stand-in for the S3 API, for testing',
+    args: '[dir] [port]'
+  },
+  'export r2': {
+    module: './export-cars.mjs',
+    description: 'Export content from R2 aggregate CARs to NFT.Storage',
+    flags: {
+      input: { type: 'string', arg: '<path>', description: 'Input JSON (default: ./data_2.json)', parse: parsePath }
+    }
+  },
+  'export bitswap': {
+    module: './export-cars-bitswap.mjs',
+    description: 'Export NFT uploads over bitswap to NFT.Storage'
+  },
+  'report csv': {
+    module: './count-dag-size-monthly-to-csv.mjs',
+    description: 'Write real, adjusted and breakdown reports from "count monthly" state',
+    flags: {
+      format: { type: 'string', arg: '<fmts>', description: `Output formats: ${Object.keys(FORMATS).join(', ')} (comma separated, default: csv)`, parse: parseFormats },
+      unit: { type: 'string', arg: '<unit>', description: `Unit for data: ${Object.keys(UNITS).join(', ')} (default: TiB)`, parse: parseUnit },
+      columns: { type: 'string', arg: '<which>', description: `Running totals, per-period amounts or both: ${COLUMN_MODES.join(', ')} (default: both)`, parse: parseColumnMode },
+      from: { type: 'string', arg: '<date>', description: 'Only periods starting on or after YYYY[-MM[-DD]]', parse: parseDate },
+      to: { type: 'string', arg: '<date>', description: 'Only periods starting on or before YYYY[-MM[-DD]]', parse: parseDate }
+    }
+  },
+  'report html': {
+    module: './report-html.mjs',
+    description: 'Write an HTML page charting "count monthly" and "count filecoin" totals',
+    flags: {
+      unit: { type: 'string', arg: '<unit>', description: `Unit for data: ${Object.keys(UNITS).join(', ')} (default: TiB)`, parse: parseUnit },
+      from: { type: 'string', arg: '<date>', description: 'Only periods starting on or after YYYY[-MM[-DD]]', parse: parseDate },
+      to: { type: 'string', arg: '<date>', description: 'Only periods starting on or before YYYY[-MM[-DD]]', parse: parseDate }
+    }
+  },
+  forecast: {
+    module: './forecast.mjs',
+    description: 'Project "count monthly" and "count filecoin" totals from their recent trend',
+    flags: {
+      window: { type: 'string', arg: '<n>', description: 'Fit over the last n periods (default: 12)', parse: parsePositiveInt },
+      ahead: { type: 'string', arg: '<n>', description: 'Project n periods ahead (default: 12)', parse: parsePositiveInt },
+      model: { type: 'string', arg: '<models>', description: `Trends to fit: ${MODELS.join(', ')} (comma separated, default: both)`, parse: parseModels },
+      confidence: { type: 'string', arg: '<level>', description: `Prediction interval: ${CONFIDENCE_LEVELS.join(', ')} (default: 0.95)`, parse: parseConfidence },
+      to: { type: 'string', arg: '<date>', description: 'Fit up to the period starting on or before YYYY[-MM[-DD]]', parse: parseDate },
+      format: { type: 'string', arg: '<fmts>', description: `Output formats: ${Object.keys(FORMATS).join(', ')} (comma separated, default: csv)`, parse: parseFormats },
+      unit: { type: 'string', arg: '<unit>', description: `Unit for data: ${Object.keys(UNITS).join(', ')} (default: TiB)`, parse: parseUnit }
+    }
+  },
+  reconcile: {
+    module: './reconcile.mjs',
+    description: 'Compare "count monthly" uploads with "count filecoin" stored bytes per period',
+    flags: {
+      basis: { type: 'string', arg: '<uploads>', description: `Uploads to compare: ${BASES.join(', ')} (default: real)`, parse: parseBasis },
+      compare: { type: 'string', arg: '<data>', description: `Compare data added per period or running totals: ${COMPARISONS.join(', ')} (default: new)`, parse: parseComparison },
+      threshold: { type: 'string', arg: '<pct>', description: 'Flag periods that differ by more than this percentage (default: 10)', parse: parsePercent },
+      'drill-down': { type: 'boolean', description: 'List uploads in flagged periods that are in no Filecoin aggregate' },
+      format: { type: 'string', arg: '<fmts>', description: `Output formats: ${Object.keys(FORMATS).join(', ')} (comma separated, default: csv)`, parse: parseFormats },
+      unit: { type: 'string', arg: '<unit>', description: `Unit for data: ${Object.keys(UNITS).join(', ')} (default: TiB)`, parse: parseUnit }
+    }
+  },
+  'metrics list': {
+    module: './metrics.mjs',
+    fn: 'list',
+    description: 'List the metrics in cargo.metrics_log'
+  },
+  'metrics dimensions': {
+    module: './metrics.mjs',
+    fn: 'dimensions',
+    description: 'List the dimensions a metric is recorded with',
+    args: '<name>'
+  },
+  'metrics export': {
+    module: './metrics.mjs',
+    description: 'Write a metric per period, a column per series',
+    args: '<name>',
+    flags: {
+      dimensions: { type: 'string', arg: '<filter>', description: 'Only samples with these dimensions: key=value (comma separated)', parse: parseDimensionFilter },
+      kind: { type: 'string', arg: '<kind>', description: `Aggregate as a ${METRIC_KINDS.join(' or a ')} (default: gauge)`, parse: parseMetricKind },
+      snapshot: { type: 'string', arg: '<mode>', description: `Sample a gauge is measured by: ${SNAPSHOT_MODES.join(', ')} (default: end)`, parse: parseSnapshotMode },
+      interpolate: { type: 'boolean', description: 'Fill in gauge periods without samples from the periods either side' },
+      ...bucketFlags,
+      format: { type: 'string', arg: '<fmts>', description: `Output formats: ${Object.keys(FORMATS).join(', ')} (comma separated, default: csv)`, parse: parseFormats },
+      unit: { type: 'string', arg: '<unit>', description: `Unit for metrics of bytes: ${Object.keys(UNITS).join(', ')} (default: TiB)`, parse: parseUnit }
+    }
+  },
+  'state checkpoints': {
+    module: './state-checkpoints.mjs',
+    fn: 'list',
+    description: 'List the checkpoints kept for a state file (requires --state)'
+  },
+  'state rollback': {
+    module: './state-checkpoints.mjs',
+    fn: 'rollback',
+    description: 'Restore a state file from a checkpoint (requires --state)',
+    flags: {
+      checkpoint: { type: 'string', arg: '<n>', description: 'Checkpoint to restore, 1 is the most recent (default: 1)', parse: parsePositiveInt }
+    }
+  }
+}
+
+/** @param {Record<string, Flag>} flags */
+const formatFlags = flags => Object.entries(flags)
+  .map(([name, flag]) => {
+    const usage = `${flag.short ? `-${flag.short}, ` : ''}--${name}${flag.arg ? ` ${flag.arg}` : ''}`
+    return `  ${usage.padEnd(22)}${flag.description}`
+  })
+  .join('\n')
+
+const help = `Usage: nftstorage-tools <command> [options]
+
+Commands:
+${Object.entries(commands).map(([name, { description }]) => `  ${name.padEnd(20)}${description}`).join('\n')}
+
+Options:
+${formatFlags(sharedFlags)}
+
+Run "nftstorage-tools <command> --help" for command specific options.
+`
+
+/** @param {string} name */
+const commandHelp = name => {
+  const command = commands[name]
+  return `Usage: nftstorage-tools ${name}${command.args ? ` ${command.args}` : ''} [options]
+
+${command.description}
+
+Options:
+${formatFlags({ ...command.flags, ...sharedFlags })}
+`
+}
+
+/** @param {Record<string, Flag>} flags */
+const toParseArgsOptions = flags => Object.fromEntries(
+  Object.entries(flags).map(([name, { type, short }]) => [name, short ? { type, short } : { type }])
+)
+
+/** @param {string} name */
+const camelCase = name => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase())
+
+/**
+ * The command is named by the first one or two positional arguments, which
+ * may appear before or after any flags.
+ *
+ * @param {string[]} argv
+ */
+const parse = argv => {
+  const allFlags = Object.assign({}, sharedFlags, ...Object.values(commands).map(c => c.flags ?? {}))
+  const { tokens = [] } = parseArgs({ args: argv, options: toParseArgsOptions(allFlags), strict: false, allowPositionals: true, tokens: true })
+  const positionals = tokens.filter(t => t.kind === 'positional')
+
+  let n = 2
+  let name = positionals.slice(0, n).map(t => t.value).join(' ')
+  if (!commands[name]) {
+    n = 1
+    name = positionals[0]?.value ?? ''
+  }
+  const command = commands[name]
+  if (!command) return { name, command }
+
+  const nameIndexes = new Set(positionals.slice(0, n).map(t => t.index))
+  const flags = { ...command.flags, ...sharedFlags }
+  const { values, positionals: args } = parseArgs({
+    args: argv.filter((_, i) => !nameIndexes.has(i)),
+    options: toParseArgsOptions(flags),
+    allowPositionals: Boolean(command.args)
+  })
+
+  /** @type {Options} */
+  const options = { outDir: path.resolve('./out'), args }
+  // options are keyed by camelCased flag names
+  const byName = /** @type {Record<string, any>} */ (options)
+  for (const [key, value] of Object.entries(values)) {
+    const parse = flags[key].parse
+    byName[camelCase(key)] = parse && typeof value === 'string' ? parse(value, key) : value
+  }
+  return { name, command, options }
+}
+
+let parsed
+try {
+  parsed = parse(process.argv.slice(2))
+} catch (err) {
+  console.error(`${err.message}\n\n${help}`)
+  process.exit(1)
+}
+
+const { name, command, options } = parsed
+if (!command) {
+  if (name) {
+    console.error(`unknown command: ${name}\n\n${help}`)
+    process.exit(1)
+  }
+  console.log(help)
+  process.exit(0)
+}
+
+if (options.help) {
+  console.log(commandHelp(name))
+  process.exit(0)
+}
+
+await fs.promises.mkdir(options.outDir, { recursive: true })
+const mod = await import(command.module)
+await mod[command.fn ?? 'main'](options)
@@ -1,55 +1,33 @@
+/**
+ * Usage: node cli.mjs report csv [--format csv,json,markdown,prometheus] [--unit TiB] [--columns both] [--from YYYY-MM] [--to YYYY-MM]
+ *
+ * Writes CSV by default, `--format` adds or replaces it with other formats.
+ */
 import fs from 'node:fs'
-import * as dagJSON from '@ipld/dag-json'
+import path from 'node:path'
 import * as State from './lib/state.mjs'
-
-const TB = 1024 * 1024 * 1024 * 1024
-const statePath = `${import.meta.dirname}/out/count-dag-size-monthly.state.json`
-
-/** @param {Uint8Array} data */
-const decodeState = data => {
-  const raw = dagJSON.decode(data)
-  return /** @type {import('./count-dag-size-monthly.mjs').State} */ ({ ...raw, currentID: BigInt(raw.currentID) })
-}
-
-const state = await State.load({ path: statePath, decode: decodeState })
-if (!state) throw new Error('missing state')
-
-/** @param {number} m */
-const monthToString = m => (m + 1).toString().padStart(2, '0')
-
-const columns = 'Month,Total Data (TiB),New Data (TiB),Total Uploads,New Uploads'
-const real = [columns]
-const adjusted = [columns]
-
-let totalDataReal = 0
-let totalDataAdjusted = 0
-let totalUploadsReal = 0
-let totalUploadsAdjusted = 0
-for (const year of Object.keys(state.totals).map(k => parseInt(k)).sort((a, b) => a - b)) {
-  for (const month of Object.keys(state.totals[year]).map(k => parseInt(k)).sort((a, b) => a - b)) {
-    totalDataReal += state.totals[year][month].real.bytes
-    totalUploadsReal += state.totals[year][month].real.count
-    real.push([
-      `${year}-${monthToString(month)}`,
-      (totalDataReal/TB).toFixed(2),
-      (state.totals[year][month].real.bytes/TB).toFixed(2),
-      totalUploadsReal,
-      state.totals[year][month].real.count
-    ].join(','))
-
-    totalDataAdjusted += state.totals[year][month].adjusted.bytes
-    totalUploadsAdjusted += state.totals[year][month].adjusted.count
-    adjusted.push([
-      `${year}-${monthToString(month)}`,
-      (totalDataAdjusted/TB).toFixed(2),
-      (state.totals[year][month].adjusted.bytes/TB).toFixed(2),
-      totalUploadsAdjusted,
-      state.totals[year][month].adjusted.count
-    ].join(','))
+import * as MonthlyState from './lib/monthly-state.mjs'
+import { periodStart } from './lib/buckets.mjs'
+import { render, selectColumns, inDateRange } from './lib/report.mjs'
+import { realTable, adjustedTable, breakdownTables } from './lib/monthly-tables.mjs'
+
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const statePath = options.state ?? path.join(options.outDir, 'count-dag-size-monthly.state.json')
+  const state = await State.load({ path: statePath, ...MonthlyState })
+  if (!state) throw new Error('missing state')
+  console.log(`Bucketing: ${state.bucketing.granularity} (${state.bucketing.tz})`)
+  if (state.uniqueFrom > 0n) console.log(`⚠️ unique totals only cover uploads after ID ${state.uniqueFrom}`)
+
+  const tables = [realTable(state), adjustedTable(state), ...breakdownTables(state)]
+    .map(t => selectColumns(t, options.columns ?? 'both'))
+    .map(t => ({ ...t, rows: t.rows.filter(r => inDateRange(periodStart(String(r.period)), options)) }))
+
+  const meta = { unit: options.unit ?? 'TiB', bucketing: state.bucketing }
+  for (const format of options.format ?? ['csv']) {
+    for (const [name, data] of render(tables, format, meta)) {
+      await fs.promises.writeFile(path.join(options.outDir, name), data)
+      console.log(`wrote ${path.join(options.outDir, name)}`)
+    }
   }
 }
-
-await Promise.all([
-  fs.promises.writeFile('./out/real.csv', real.join('\n')),
-  fs.promises.writeFile('./out/adjusted.csv', adjusted.join('\n'))
-])
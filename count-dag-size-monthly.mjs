@@ -1,179 +1,166 @@
 /**
- * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node count-dag-size-monthly.mjs
+ * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node cli.mjs count monthly
  */
-import fs from 'node:fs'
-import dotenv from 'dotenv'
+import path from 'node:path'
 import pg from 'pg'
 import ora from 'ora'
 import bytes from 'bytes'
-import * as dagJSON from '@ipld/dag-json'
-import { readDenyList, isDenyListed } from './lib/denylist.mjs'
+import { readDenyList, matchUpload } from './lib/denylist.mjs'
 import { mustGetEnv } from './utils.mjs'
 import * as State from './lib/state.mjs'
+import * as MonthlyState from './lib/monthly-state.mjs'
+import { walk, walkSharded, formatSelfCheck } from './lib/uploads.mjs'
+import { fetchDagSizes, sumSizes, unknownSizes, openUnknownLog } from './lib/dags.mjs'
+import { openUnique } from './lib/unique.mjs'
+import { useDenyList } from './lib/denylist-snapshot.mjs'
+import { bucketKey, resolveBucketing, groupByYear } from './lib/buckets.mjs'
+import { resolveBreakdown, addUploads, breakdownColumns } from './lib/breakdown.mjs'
 
-dotenv.config()
-
-const COUNT_DAG_SIZE = 'SELECT SUM(size_actual) FROM cargo.dags WHERE cid_v1 IN ($1)'
 const PAGE_SIZE = 10000
 
-/** @param {import('pg').PoolClient} db */
-async function fetchUploadIdRange (db) {
-  const { rows } = await db.query('SELECT MIN(id), MAX(id) FROM upload')
-  if (!rows.length) throw new Error('no rows returned fetching min/max ID')
-  return { min: BigInt(rows[0].min), max: BigInt(rows[0].max) }
-}
-
-/**
- * @typedef {{ source_cid: string, content_cid: string, inserted_at: string }} Upload
- */
-
-/**
- * @param {import('pg').PoolClient} db
- * @param {bigint} id
- * @param {number} limit
- * @returns {Promise<Array<Upload>>}
- */
-async function fetchUploadsAfter (db, id, limit) {
-  const { rows } = await db.query('SELECT id, source_cid, content_cid, inserted_at FROM upload WHERE id >= $1 ORDER BY id ASC LIMIT $2', [id.toString(), limit.toString()])
-  return rows
-}
-
-/**
- * @param {import('pg').PoolClient} db
- * @param {string[]} cids
- */
-async function fetchTotalDagSize (db, cids) {
-  const { rows } = await db.query(COUNT_DAG_SIZE.replace('$1', `'${cids.join("','")}'`))
-  return Number(rows[0].sum)
-}
-
 /**
- * @typedef {number} Year
- * @typedef {number} Month
+ * @typedef {import('./lib/uploads.mjs').Upload} Upload
+ * @typedef {MonthlyState.State} State
  */
 
-/**
- * @template T
- * @typedef {Record<Year, Record<Month, T>>} MonthlyItems
- */
-
-/**
- * @typedef {MonthlyItems<Upload[]>} MonthlyUploads
- */
-
-/**
- * @typedef {{ bytes: number, count: number }} Total
- * @typedef {MonthlyItems<{ real: Total, adjusted: Total }>} MonthlyTotals
- */
-
-/**
- * @typedef {{ currentID: bigint, totals: MonthlyTotals }} State
- */
-
-const statePath = `${import.meta.dirname}/out/count-dag-size-monthly.state.json`
-
-/** @param {Uint8Array} data */
-const decodeState = data => {
-  const raw = dagJSON.decode(data)
-  return /** @type {State} */ ({ ...raw, currentID: BigInt(raw.currentID) })
-}
-
-/** @param {State} state */
-const encodeState = state => dagJSON.encode({ ...state, currentID: String(state.currentID) })
-
-/** @param {number} m */
-const monthToString = m => ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'][m]
-
-async function main () {
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
   const connectionString = mustGetEnv('PROD_RO_DATABASE_CONNECTION')
-  const state = (await State.load({ path: statePath, decode: decodeState })) ?? { currentID: 0n, totals: {} }
-  const denylist = await readDenyList()
+  const pageSize = options.pageSize ?? PAGE_SIZE
+  const statePath = options.state ?? path.join(options.outDir, 'count-dag-size-monthly.state.json')
+  const persisted = await State.load({ path: statePath, ...MonthlyState })
+  // resuming with a different bucketing would mix periods in the totals
+  const bucketing = resolveBucketing(persisted?.bucketing, options)
+  const breakdown = resolveBreakdown(persisted?.breakdown, options)
+  const state = persisted ?? MonthlyState.init(bucketing, breakdown)
+  console.log(`Bucketing: ${bucketing.granularity} (${bucketing.tz})`)
+  if (breakdown.dimensions.length) console.log(`Breakdown: ${breakdown.dimensions.join(', ')}`)
+  if (state.uniqueFrom > 0n) console.log(`⚠️ unique totals only cover uploads after ID ${state.uniqueFrom}`)
+  const denylist = await readDenyList(path.join(options.outDir, 'denylist.json'))
   console.log(`Denylist size: ${denylist.size}`)
+  await useDenyList(statePath, state, denylist)
 
-  const pool = new pg.Pool({ connectionString })
+  const pool = new pg.Pool({ connectionString, max: Math.max(10, options.shards ?? 0) })
+  const spinner = ora().start()
 
-  let range
-  let db
-  try {
-    db = await pool.connect()
-    range = await fetchUploadIdRange(db)
-  } finally {
-    db && db.release()
-  }
+  // uploads whose DAG size is unknown, for measuring the gap in the totals
+  const unknownLog = await openUnknownLog(path.join(options.outDir, 'count-dag-size-monthly.unknown.json'), { append: state.currentID > 0n || Boolean(state.shards) })
+
+  /**
+   * @param {State} state
+   * @param {import('./lib/uploads.mjs').Range} range
+   */
+  const updateSpinner = (state, range) => {
+    let totals = state.totals
+    let progress = `${state.currentID.toLocaleString()} of ${range.max.toLocaleString()}`
+    if (state.shards) {
+      totals = state.shards.reduce((t, s) => MonthlyState.mergeTotals(t, s.totals, breakdown), structuredClone(state.totals))
+      progress = state.shards.map((s, i) => `shard ${i}: ${s.currentID.toLocaleString()} of ${s.to.toLocaleString()}`).join('\n')
+    }
 
-  const spinner = ora().start()
-  const updateSpinner = () => {
     const yearLines = []
-    const years = Object.keys(state.totals).map(k => parseInt(k)).sort((a, b) => a - b)
-    for (const yr of years) {
-      const months = Object.keys(state.totals[yr]).map(k => parseInt(k)).sort((a, b) => a - b)
+    for (const [yr, periods] of groupByYear(Object.keys(totals))) {
       let bytesTotal = 0
       let countTotal = 0
+      let unknownTotal = 0
       const lines = []
-      for (const m of months) {
-        bytesTotal += state.totals[yr][m].real.bytes
-        countTotal += state.totals[yr][m].real.count
-        lines.push(`  ${monthToString(m)}: ${bytes(state.totals[yr][m].real.bytes)} (${state.totals[yr][m].real.count.toLocaleString()})`)
+      for (const p of periods) {
+        bytesTotal += totals[p].real.bytes
+        countTotal += totals[p].real.count
+        unknownTotal += totals[p].unknown?.count ?? 0
+        lines.push(`  ${p}: ${bytes(totals[p].real.bytes)} (${totals[p].real.count.toLocaleString()}, ${bytes(totals[p].unique?.bytes ?? 0)} unique, ${(totals[p].unknown?.count ?? 0).toLocaleString()} unknown size)`)
       }
-      yearLines.push(`${yr} ${bytes(bytesTotal)} (${countTotal.toLocaleString()})`)
+      yearLines.push(`${yr} ${bytes(bytesTotal)} (${countTotal.toLocaleString()}, ${unknownTotal.toLocaleString()} unknown size)`)
       yearLines.push(lines.join('\n'))
     }
-    spinner.text = `${state.currentID.toLocaleString()} of ${range.max.toLocaleString()}\n\n${yearLines.join('\n')}`
+    spinner.text = `${progress}\n\n${yearLines.join('\n')}`
   }
-  updateSpinner()
 
-  try {
-    while (state.currentID < range.max) {
-      try {
-        db = await pool.connect()
-        const uploads = await fetchUploadsAfter(db, state.currentID, PAGE_SIZE)
-        
-        /** @type {MonthlyUploads} */
-        const monthlyUploads = {}
-        for (const u of uploads) {
-          const insertedAt = new Date(u.inserted_at)
-          const year = insertedAt.getFullYear()
-          const month = insertedAt.getMonth()
-          monthlyUploads[year] = monthlyUploads[year] ?? {}
-          monthlyUploads[year][month] = monthlyUploads[year][month] ?? []
-          monthlyUploads[year][month].push(u)
-        }
-
-        for (const year of Object.keys(monthlyUploads)) {
-          for (const month of Object.keys(monthlyUploads[year])) {
-            const uploads = monthlyUploads[year][month]
-            state.totals[year] = state.totals[year] ?? {}
-            state.totals[year][month] = state.totals[year][month] ?? { real: { bytes: 0, count: 0 }, adjusted: { bytes: 0, count: 0 } }
-
-            await Promise.all([
-              (async () => {
-                state.totals[year][month].real.bytes += await fetchTotalDagSize(db, uploads.map(u => u.content_cid))
-                state.totals[year][month].real.count += uploads.length
-              })(),
-              (async () => {
-                const denyCIDs = uploads.filter(u => !isDenyListed(denylist, u.source_cid)).map(u => u.content_cid)
-                if (denyCIDs.length) {
-                  state.totals[year][month].adjusted.bytes += await fetchTotalDagSize(db, denyCIDs)
-                  state.totals[year][month].adjusted.count += denyCIDs.length
-                }
-              })()
-            ])
-          }
-        }
-        state.currentID = state.currentID + BigInt(PAGE_SIZE)
-        await State.store({ path: statePath, encode: encodeState }, state)
-        updateSpinner()
-      } finally {
-        db && db.release()
+  // content CIDs already counted towards the unique totals
+  const unique = openUnique(statePath)
+
+  /**
+   * `part` is the state, or when walking sharded the shard the batch is in.
+   *
+   * @type {import('./lib/uploads.mjs').Handler<State|MonthlyState.ShardState>}
+   */
+  const countBatch = async ({ db, uploads }, part) => {
+    /** @type {Map<string, Upload[]>} */
+    const periodUploads = new Map()
+    for (const u of uploads) {
+      const period = bucketKey(u.inserted_at, bucketing)
+      const list = periodUploads.get(period) ?? []
+      list.push(u)
+      periodUploads.set(period, list)
+    }
+
+    const dagSizes = await fetchDagSizes(db, uploads.map(u => u.content_cid))
+    for (const [period, uploads] of periodUploads) {
+      const totals = part.totals[period] = part.totals[period] ?? MonthlyState.initPeriod()
+
+      totals.real.bytes += sumSizes(dagSizes, uploads.map(u => u.content_cid))
+      totals.real.count += uploads.length
+      if (breakdown.dimensions.length) {
+        const items = uploads.map(upload => ({ upload, bytes: dagSizes.sizes.get(upload.content_cid) ?? 0 }))
+        totals.by = addUploads(totals.by ?? {}, items, breakdown)
+      }
+
+      const allowedCIDs = uploads.filter(u => !matchUpload(denylist, u)).map(u => u.content_cid)
+      totals.adjusted.bytes += sumSizes(dagSizes, allowedCIDs)
+      totals.adjusted.count += allowedCIDs.length
+
+      const unknown = unknownSizes(dagSizes, uploads)
+      totals.unknown = { count: (totals.unknown?.count ?? 0) + unknown.length }
+      for (const u of unknown) {
+        await unknownLog.write({ ...u, period })
       }
     }
-    updateSpinner()
+
+    const shard = part === state ? undefined : /** @type {MonthlyState.ShardState} */ (part)
+    const items = uploads.map(u => ({ cid: u.content_cid, insertedAt: u.inserted_at, size: dagSizes.sizes.get(u.content_cid) ?? 0 }))
+    for (const { insertedAt, size } of await unique.firsts(state, shard, items)) {
+      const totals = part.totals[bucketKey(insertedAt, bucketing)]
+      totals.unique = totals.unique ?? { bytes: 0, count: 0 }
+      totals.unique.bytes += size
+      totals.unique.count++
+    }
+  }
+
+  /**
+   * @param {State} state
+   * @param {MonthlyState.ShardState} shard
+   */
+  const merge = async (state, shard) => {
+    MonthlyState.merge(state, shard)
+    // CIDs the shard counted as unique that an earlier shard counted first
+    await unique.mergeShard(state, shard, ({ insertedAt, size }) => {
+      const totals = /** @type {MonthlyState.Total} */ (state.totals[bucketKey(insertedAt, bucketing)].unique)
+      totals.bytes -= size
+      totals.count--
+    })
+  }
+
+  try {
+    const conf = {
+      pool,
+      state,
+      pageSize,
+      columns: ['id', 'source_cid', 'content_cid', 'inserted_at', 'files', ...breakdownColumns(breakdown)],
+      handlers: [countBatch],
+      /** @param {State} state */
+      checkpoint: state => unique.checkpoint(state, () => State.store({ path: statePath, ...MonthlyState }, state)),
+      onProgress: updateSpinner
+    }
+    const { check } = options.shards || state.shards
+      ? await walkSharded({ ...conf, shards: options.shards ?? 1, initShard: MonthlyState.initShard, merge })
+      : await walk(conf)
+    await unknownLog.close()
     spinner.stopAndPersist()
+    console.log(formatSelfCheck(check))
   } catch (err) {
     spinner.fail(err.stack)
   } finally {
+    await unique.close()
     await pool.end()
   }
 }
-
-main()
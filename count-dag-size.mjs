@@ -1,116 +1,183 @@
 /**
- * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node count-dag-size.mjs
+ * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node cli.mjs count
  */
-import fs from 'node:fs'
-import dotenv from 'dotenv'
+import path from 'node:path'
 import pg from 'pg'
 import ora from 'ora'
 import bytes from 'bytes'
-import { readDenyList, isDenyListed } from './lib/denylist.mjs'
+import * as State from './lib/state.mjs'
+import { fromInclusiveCursor } from './lib/currentid-state.mjs'
+import { readDenyList, matchUpload } from './lib/denylist.mjs'
+import { walk, walkSharded, formatSelfCheck } from './lib/uploads.mjs'
+import { fetchDagSizes, unknownSizes, openUnknownLog } from './lib/dags.mjs'
+import { bucketKey, resolveBucketing } from './lib/buckets.mjs'
+import { openUnique } from './lib/unique.mjs'
 import { mustGetEnv } from './utils.mjs'
 
-dotenv.config()
-
-const COUNT_DAG_SIZE = 'SELECT SUM(size_actual) FROM cargo.dags WHERE cid_v1 IN ($1)'
 const PAGE_SIZE = 10000
 
-/** @param {import('pg').PoolClient} db */
-async function fetchUploadIdRange (db) {
-  const { rows } = await db.query('SELECT MIN(id), MAX(id) FROM upload')
-  if (!rows.length) throw new Error('no rows returned fetching min/max ID')
-  return { min: BigInt(rows[0].min), max: BigInt(rows[0].max) }
-}
-
 /**
- * @param {import('pg').PoolClient} db
- * @param {bigint} id
- * @param {number} limit
- * @returns {Promise<Array<{ source_cid: string, content_cid: string }>>}
+ * `unknown` counts the uploads whose DAG size is not known. `unique` counts
+ * each distinct content CID once, at its first upload, and only covers
+ * uploads after `uniqueFrom` (non zero for state counted before it existed).
+ *
+ * @typedef {{ size: bigint, count: number }} Unique
+ * @typedef {{ size: bigint, count: number, unknown: number, unique: Unique }} Totals
+ * @typedef {import('./lib/uploads.mjs').Shard & Totals & { seen?: import('./lib/unique.mjs').SeenState }} ShardState
+ * @typedef {{ currentID: bigint, uniqueFrom: bigint, seen?: import('./lib/unique.mjs').SeenState, shards?: ShardState[] } & Totals} State
  */
-async function fetchUploadsAfter (db, id, limit) {
-  const { rows } = await db.query('SELECT id, source_cid, content_cid FROM upload WHERE id >= $1 ORDER BY id ASC LIMIT $2', [id.toString(), limit.toString()])
-  return rows
+
+/** @param {any} raw */
+const decodeUnique = raw => raw ? { size: BigInt(raw.size), count: raw.count } : { size: 0n, count: 0 }
+
+const stateCodec = {
+  /** @param {Uint8Array} data */
+  decode: data => {
+    const raw = JSON.parse(Buffer.from(data).toString())
+    /** @type {State} */
+    const state = {
+      currentID: BigInt(raw.currentID),
+      uniqueFrom: BigInt(raw.uniqueFrom ?? 0),
+      seen: raw.seen,
+      size: BigInt(raw.size),
+      count: raw.count,
+      unknown: raw.unknown ?? 0,
+      unique: decodeUnique(raw.unique)
+    }
+    if (raw.shards) {
+      state.shards = raw.shards.map((/** @type {any} */ s) => ({ from: BigInt(s.from), to: BigInt(s.to), currentID: BigInt(s.currentID), seen: s.seen, size: BigInt(s.size), count: s.count, unknown: s.unknown, unique: decodeUnique(s.unique) }))
+    }
+    return state
+  },
+  /** @param {State} state */
+  encode: state => JSON.stringify(state, (_, v) => typeof v === 'bigint' ? v.toString() : v),
+  version: 2,
+  migrations: {
+    0: fromInclusiveCursor,
+    // uploads up to the furthest cursor were counted without a seen set
+    /** @param {State} state */
+    1: state => ({
+      ...state,
+      uniqueFrom: (state.shards ?? []).reduce((max, s) => s.currentID > max ? s.currentID : max, state.currentID)
+    })
+  }
 }
 
 /**
- * @param {import('pg').PoolClient} db
- * @param {string[]} cids
+ * @param {{ from: bigint, to: bigint }} range
+ * @returns {ShardState}
  */
-async function fetchTotalDagSize (db, cids) {
-  const { rows } = await db.query(COUNT_DAG_SIZE.replace('$1', `'${cids.join("','")}'`))
-  return BigInt(rows[0].sum)
-}
+const initShard = ({ from, to }) => ({ from, to, currentID: from, size: 0n, count: 0, unknown: 0, unique: { size: 0n, count: 0 } })
 
 /**
- * @typedef {{ currentID: bigint, size: bigint, count: number }} State
+ * @param {State} state
+ * @param {ShardState} shard
  */
-
-const statePath = './out/count-dag-size.state.json'
-
-/** @returns {Promise<State>} */
-async function loadState () {
-  try {
-    const data = JSON.parse(await fs.promises.readFile(statePath, 'utf-8'))
-    return { currentID: BigInt(data.currentID), size: BigInt(data.size), count: data.count }
-  } catch (err) {
-    if (err.code !== 'ENOENT') throw err
-    return { currentID: 0n, size: 0n, count: 0 }
-  }
-}
-
-/** @param {State} state */
-async function saveState (state) {
-  const data = { currentID: state.currentID.toString(), size: state.size.toString(), count: state.count }
-  await fs.promises.writeFile(statePath, JSON.stringify(data))
+const merge = (state, shard) => {
+  state.size += shard.size
+  state.count += shard.count
+  state.unknown += shard.unknown
+  state.unique.size += shard.unique.size
+  state.unique.count += shard.unique.count
 }
 
-async function main () {
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
   const connectionString = mustGetEnv('PROD_RO_DATABASE_CONNECTION')
-  const state = await loadState()
-  const denylist = await readDenyList()
+  const pageSize = options.pageSize ?? PAGE_SIZE
+  const statePath = options.state ?? path.join(options.outDir, 'count-dag-size.state.json')
+  const state = (await State.load({ path: statePath, ...stateCodec })) ?? { currentID: 0n, uniqueFrom: 0n, size: 0n, count: 0, unknown: 0, unique: { size: 0n, count: 0 } }
+  const denylist = await readDenyList(path.join(options.outDir, 'denylist.json'))
   console.log(`Denylist size: ${denylist.size}`)
 
-  const pool = new pg.Pool({ connectionString })
+  const pool = new pg.Pool({ connectionString, max: Math.max(10, options.shards ?? 0) })
+  const spinner = ora().start()
 
-  let range
-  let db
-  try {
-    db = await pool.connect()
-    range = await fetchUploadIdRange(db)
-  } finally {
-    db && db.release()
+  // uploads whose DAG size is unknown, for measuring the gap in the total
+  const unknownLog = await openUnknownLog(path.join(options.outDir, 'count-dag-size.unknown.json'), { append: state.currentID > 0n || Boolean(state.shards) })
+  // periods the uploads are logged in, as by "count monthly"
+  const bucketing = resolveBucketing(undefined, options)
+
+  // content CIDs already counted towards the unique total
+  const unique = openUnique(statePath)
+
+  /**
+   * `part` is the state, or when walking sharded the shard the batch is in.
+   *
+   * @type {import('./lib/uploads.mjs').Handler<State|ShardState>}
+   */
+  const countBatch = async ({ db, uploads }, part) => {
+    const allowed = uploads.filter(u => !matchUpload(denylist, u))
+    // const allowed = uploads
+    if (allowed.length) {
+      const dagSizes = await fetchDagSizes(db, allowed.map(u => u.content_cid))
+      part.size += BigInt(dagSizes.total)
+
+      const unknown = unknownSizes(dagSizes, allowed)
+      part.unknown += unknown.length
+      const insertedAt = new Map(allowed.map(u => [u.id, u.inserted_at]))
+      for (const u of unknown) {
+        await unknownLog.write({ ...u, period: bucketKey(insertedAt.get(u.upload) ?? 0, bucketing) })
+      }
+
+      const shard = part === state ? undefined : /** @type {ShardState} */ (part)
+      const items = allowed.map(u => ({ cid: u.content_cid, insertedAt: u.inserted_at, size: dagSizes.sizes.get(u.content_cid) ?? 0 }))
+      for (const { size } of await unique.firsts(state, shard, items)) {
+        part.unique.size += BigInt(size)
+        part.unique.count++
+      }
+    }
+    part.count += allowed.length
   }
 
-  const spinner = ora().start()
-  const updateSpinner = () => spinner.text = `${state.currentID.toLocaleString()} of ${range.max.toLocaleString()} (${state.count.toLocaleString()} - ${bytes(Number(state.size))})`
-  updateSpinner()
+  /**
+   * @param {State} state
+   * @param {ShardState} shard
+   */
+  const mergeShard = async (state, shard) => {
+    merge(state, shard)
+    // CIDs the shard counted as unique that an earlier shard counted first
+    await unique.mergeShard(state, shard, ({ size }) => {
+      state.unique.size -= BigInt(size)
+      state.unique.count--
+    })
+  }
+
+  /**
+   * @param {State} state
+   * @param {import('./lib/uploads.mjs').Range} range
+   */
+  const updateSpinner = (state, range) => {
+    if (!state.shards) {
+      spinner.text = `${state.currentID.toLocaleString()} of ${range.max.toLocaleString()} (${state.count.toLocaleString()} - ${bytes(Number(state.size))}, ${bytes(Number(state.unique.size))} unique, ${state.unknown.toLocaleString()} unknown size)`
+      return
+    }
+    const lines = state.shards.map((s, i) => `shard ${i}: ${s.currentID.toLocaleString()} of ${s.to.toLocaleString()} (${s.count.toLocaleString()} - ${bytes(Number(s.size))}, ${s.unknown.toLocaleString()} unknown size)`)
+    spinner.text = lines.join('\n')
+  }
 
   try {
-    while (state.currentID < range.max) {
-      try {
-        db = await pool.connect()
-        const uploads = await fetchUploadsAfter(db, state.currentID, PAGE_SIZE)
-        const cids = uploads.filter(u => !isDenyListed(denylist, u.source_cid)).map(u => u.content_cid)
-        // const cids = uploads.map(u => u.content_cid)
-        if (cids.length) {
-          const size = await fetchTotalDagSize(db, cids)
-          state.size += size
-        }
-        state.count += cids.length
-        state.currentID = state.currentID + BigInt(PAGE_SIZE)
-        await saveState(state)
-        updateSpinner()
-      } finally {
-        db && db.release()
-      }
+    const conf = {
+      pool,
+      state,
+      pageSize,
+      columns: ['id', 'source_cid', 'content_cid', 'inserted_at', 'files'],
+      handlers: [countBatch],
+      /** @param {State} state */
+      checkpoint: state => unique.checkpoint(state, () => State.store({ path: statePath, ...stateCodec }, state)),
+      onProgress: updateSpinner
     }
-    updateSpinner()
+    const { check } = options.shards || state.shards
+      ? await walkSharded({ ...conf, shards: options.shards ?? 1, initShard, merge: mergeShard })
+      : await walk(conf)
+    await unknownLog.close()
     spinner.stopAndPersist()
+    console.log(formatSelfCheck(check))
+    if (state.uniqueFrom > 0n) console.log(`⚠️ unique total only covers uploads after ID ${state.uniqueFrom}`)
   } catch (err) {
     spinner.fail(err.stack)
   } finally {
+    await unique.close()
     await pool.end()
   }
 }
-
-main()
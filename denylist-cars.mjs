@@ -1,162 +1,168 @@
 /**
- * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node denylist-cars.mjs
+ * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node cli.mjs denylist cars
+ *
+ * Uploads are matched by their source CID or by the paths of their `files`.
+ * Each line of <out-dir>/denylist-cars.json records the anchor that matched,
+ * and the upload's CARs (`keys`). These are taken from the upload's
+ * `backup_urls`, or if it has none, are the CARs holding its root block in
+ * the blocks-cars-position table. `keySources` records where each came from:
+ * `backup_urls`, `dynamo`, or `cache` for a root looked up before.
+ *
+ * Table lookups are kept in an LRU cache of `--cache-size` blocks, which
+ * `--cache <path>` stores between runs: in its own file, at most every few
+ * minutes and when the run ends.
+ *
+ * With `--blocks`, every block of the DAG is located (see
+ * `lib/blocks-cars.mjs`), and `cars` lists every CAR holding any of them. A
+ * CAR uploaded with a root that is not denylisted holds another upload's
+ * content, so is `unsafe` to purge, and the denylisted blocks in it (which
+ * that upload shares) are written to <out-dir>/denylist-cars.shared.json.
  */
 // Iterate over user uploads
 // If denied
 //     collect from dynamo blocks_cars_position table
-import fs from 'node:fs'
-import dotenv from 'dotenv'
+import path from 'node:path'
 import pg from 'pg'
 import ora from 'ora'
-import { readDenyList, isDenyListed } from './lib/denylist.mjs'
-import { Writable } from 'node:stream'
-import { Stringify } from 'ndjson-web'
-import retry from 'p-retry'
-import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb'
-import { base58btc } from 'multiformats/bases/base58'
+import { readDenyList, matchUpload, isDenyListed } from './lib/denylist.mjs'
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb'
 import * as Link from 'multiformats/link'
 import map from 'p-map'
 import * as State from './lib/state.mjs'
 import * as CurrentIDState from './lib/currentid-state.mjs'
+import { walk, formatSelfCheck } from './lib/uploads.mjs'
+import { fetchDagSizes } from './lib/dags.mjs'
+import { fetchCarPaths, cacheCarPaths, createCarReader, locateDag, parseCarPath, parseBackupURL } from './lib/blocks-cars.mjs'
+import * as LRUCache from './lib/lru-cache.mjs'
+import { openWriter } from './lib/ndjson.mjs'
 import { mustGetEnv } from './utils.mjs'
 
-dotenv.config()
-
 const PAGE_SIZE = 10000
-const BLOCKS_CARS_TABLE = mustGetEnv('DYNAMO_BLOCKS_CARS_POSITION_TABLE')
-
-/** @param {import('pg').PoolClient} db */
-async function fetchUploadIdRange (db) {
-  const { rows } = await db.query('SELECT MIN(id), MAX(id) FROM upload')
-  if (!rows.length) throw new Error('no rows returned fetching min/max ID')
-  return { min: BigInt(rows[0].min), max: BigInt(rows[0].max) }
-}
-
-/**
- * @param {import('pg').PoolClient} db
- * @param {bigint} id
- * @param {number} limit
- * @returns {Promise<Array<{ id: string, user_id: string, source_cid: string, content_cid: string, backup_urls: string[] }>>}
- */
-async function fetchUploadsAfter (db, id, limit) {
-  const { rows } = await db.query('SELECT id, user_id, source_cid, content_cid FROM upload WHERE id >= $1 ORDER BY id ASC LIMIT $2', [id, limit].map(String))
-  return rows
-}
-
-/**
- * @param {import('pg').PoolClient} db
- * @param {string[]} cids
- */
-async function fetchTotalDagSize (db, cids) {
-  const { rows } = await db.query('SELECT SUM(size_actual) FROM cargo.dags WHERE cid_v1 IN ($1)'.replace('$1', `'${cids.join("','")}'`))
-  return Number(rows[0].sum)
-}
+const CONCURRENCY = 100
+const CACHE_SIZE = 100000
+const CACHE_STORE_INTERVAL = 5 * 60 * 1000
+
+/** @typedef {'backup_urls'|'dynamo'|'cache'} KeySource */
+
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const connectionString = mustGetEnv('PROD_RO_DATABASE_CONNECTION')
+  const blocksCarsTable = mustGetEnv('DYNAMO_BLOCKS_CARS_POSITION_TABLE')
+  const pageSize = options.pageSize ?? PAGE_SIZE
+  const concurrency = options.concurrency ?? CONCURRENCY
+  const statePath = options.state ?? path.join(options.outDir, 'denylist-cars.state.json')
+  const state = (await State.load({ path: statePath, ...CurrentIDState })) ?? CurrentIDState.init()
+  const denylist = await readDenyList(path.join(options.outDir, 'denylist.json'))
+  console.log(`Denylist size: ${denylist.size}`)
+
+  const pool = new pg.Pool({ connectionString })
+  const dynamo = new DynamoDBClient()
+  const spinner = ora().start()
+
+  const writer = openWriter(path.join(options.outDir, 'denylist-cars.json'), { append: state.currentID > 0n })
+  const shared = options.blocks ? openWriter(path.join(options.outDir, 'denylist-cars.shared.json'), { append: state.currentID > 0n }) : undefined
+  const readCar = createCarReader({ endpoint: process.env.S3_ENDPOINT })
+  const cacheConf = options.cache ? { path: options.cache, keep: 0, ...LRUCache } : undefined
+  const cache = LRUCache.createLRUCache(options.cacheSize ?? CACHE_SIZE, cacheConf ? await State.load(cacheConf) : [])
+  if (cache.size) console.log(`Cached lookups: ${cache.size}`)
+  let cacheStored = Date.now()
+  /** @param {boolean} [force] */
+  const storeCache = async force => {
+    if (!cacheConf || (!force && Date.now() - cacheStored < CACHE_STORE_INTERVAL)) return
+    await State.store(cacheConf, cache)
+    cacheStored = Date.now()
+  }
+  const findCachedCars = cacheCarPaths(cid => fetchCarPaths(dynamo, blocksCarsTable, cid), cache)
+  /** @param {import('multiformats').UnknownLink} cid */
+  const findCars = async cid => (await findCachedCars(cid)).keys
+
+  /**
+   * The upload's CARs from its backup URLs, or if it has none, the CARs
+   * holding its root block.
+   *
+   * @param {import('./lib/uploads.mjs').Upload} upload
+   */
+  const findUploadKeys = async upload => {
+    const backups = [...new Set((upload.backup_urls ?? []).map(parseBackupURL).filter(k => k != null))]
+    if (backups.length) return { keys: backups, source: /** @type {KeySource} */ ('backup_urls') }
+    const { keys, cached } = await findCachedCars(Link.parse(upload.source_cid))
+    return { keys, source: /** @type {KeySource} */ (cached ? 'cache' : 'dynamo') }
+  }
 
-/**
- * @param {DynamoDBClient} dynamo
- * @param {import('multiformats').Link} root
- */
-const fetchBucketKeys = async (dynamo, root) => {
-  const keys = []
-  let cursor
-  while (true) {
-    const cmd = new QueryCommand({
-      TableName: BLOCKS_CARS_TABLE,
-      Limit: 1000,
-      KeyConditions: {
-        blockmultihash: {
-          ComparisonOperator: 'EQ',
-          AttributeValueList: [{ S: base58btc.encode(root.multihash.bytes) }]
+  /**
+   * Every CAR holding a block of `root`'s DAG, flagging those that also hold
+   * content not on the denylist.
+   *
+   * @param {string} upload
+   * @param {string} root
+   */
+  const locateBlocks = async (upload, root) => {
+    const { blocks, missing } = await locateDag(Link.parse(root), { findCars, readCar })
+    /** @type {Map<string, { key: string, root: string|null, blocks: number, unsafe: boolean }>} */
+    const cars = new Map()
+    let sharedBlocks = 0
+    for (const [block, carpaths] of blocks) {
+      const unsafe = []
+      for (const carpath of carpaths) {
+        let car = cars.get(carpath)
+        if (!car) {
+          const carRoot = parseCarPath(carpath).root
+          // a CAR of unknown origin cannot be shown to hold only denylisted content
+          car = { key: carpath, root: carRoot ?? null, blocks: 0, unsafe: !carRoot || !isDenyListed(denylist, carRoot) }
+          cars.set(carpath, car)
         }
-      },
-      ExclusiveStartKey: cursor
-    })
-
-    const res = await retry(async () => {
-      try {
-        return await dynamo.send(cmd)
-      } catch (err) {
-        throw new Error(`failed to list keys: ${root}`, { cause: err })
+        car.blocks++
+        if (car.unsafe) unsafe.push(carpath)
+      }
+      if (unsafe.length) {
+        sharedBlocks++
+        await shared?.write({ upload, block, cars: unsafe })
       }
-    }, { onFailedAttempt: console.warn })
-
-    for (const raw of res.Items ?? []) {
-      keys.push(raw.carpath.S)
     }
-
-    cursor = res.LastEvaluatedKey
-    if (!cursor) break
+    return { blocks: blocks.size, missing: missing.length, shared: sharedBlocks, cars: [...cars.values()] }
   }
-  return keys
-}
-
-const statePath = `${import.meta.dirname}/out/denylist-cars.state.json`
-const connectionString = mustGetEnv('PROD_RO_DATABASE_CONNECTION')
-const state = (await State.load({ path: statePath, ...CurrentIDState })) ?? CurrentIDState.init()
-const denylist = await readDenyList()
-console.log(`Denylist size: ${denylist.size}`)
-
-const pool = new pg.Pool({ connectionString })
-
-let range
-let db
-try {
-  db = await pool.connect()
-  range = await fetchUploadIdRange(db)
-} finally {
-  db && db.release()
-  db = null
-}
-
-const dynamo = new DynamoDBClient()
-const spinner = ora().start()
-const updateSpinner = () => spinner.text = `${state.currentID.toLocaleString()} of ${range.max.toLocaleString()}`
-updateSpinner()
-
-const source = new ReadableStream({
-  async pull (controller) {
-    try {
-      db = await pool.connect()
 
-      while (true) {
-        if (state.currentID >= range.max) {
-          return controller.close()
-        }
-
-        const uploads = await fetchUploadsAfter(db, state.currentID, PAGE_SIZE)
-        const listedUploads = uploads.filter(u => isDenyListed(denylist, u.source_cid))
-
-        let pushedData = false
-        await map(listedUploads, async u => {
-          // TODO: use backup_urls, fallback to dynamo
-          // TODO: LRU Cache?
-          const keys = await fetchBucketKeys(dynamo, Link.parse(u.source_cid))
-          if (!keys.length) console.warn(`missing keys for root: ${u.source_cid}`)
-          const size = await fetchTotalDagSize(db, [u.content_cid])
-          controller.enqueue({ user: u.user_id, upload: u.id, root: u.source_cid, keys, size })
-          pushedData = true
-        }, { concurrency: 100 })
+  /** @type {import('./lib/uploads.mjs').Handler<CurrentIDState.State>} */
+  const findUploadCars = async ({ db, uploads }) => {
+    const listedUploads = uploads
+      .map(u => ({ ...u, match: matchUpload(denylist, u) }))
+      .filter(u => u.match)
+    await map(listedUploads, async u => {
+      const { keys, source } = await findUploadKeys(u)
+      if (!keys.length) console.warn(`missing keys for root: ${u.source_cid}`)
+      const { total, missing } = await fetchDagSizes(db, [u.content_cid])
+      // size is null when the DAG size is unknown (no cargo.dags row)
+      const size = missing.length ? null : total
+      const located = options.blocks ? await locateBlocks(u.id, u.source_cid) : {}
+      if (located.missing) console.warn(`${located.missing} blocks of ${u.source_cid} are in no CAR`)
+      const keySources = Object.fromEntries(keys.map(k => [k, source]))
+      await writer.write({ user: u.user_id, upload: u.id, root: u.source_cid, keys, keySources, size, match: u.match, ...located })
+    }, { concurrency })
+  }
 
-        state.currentID = state.currentID + BigInt(PAGE_SIZE)
+  try {
+    const { check } = await walk({
+      pool,
+      state,
+      pageSize,
+      columns: ['id', 'user_id', 'source_cid', 'content_cid', 'files', 'backup_urls'],
+      handlers: [findUploadCars],
+      checkpoint: async state => {
         await State.store({ path: statePath, ...CurrentIDState }, state)
-        updateSpinner()
-
-        if (pushedData) break
+        await storeCache()
+      },
+      onProgress: (state, range) => {
+        spinner.text = `${state.currentID.toLocaleString()} of ${range.max.toLocaleString()}`
       }
-    } finally {
-      db && db.release()
-      db = null
-    }
+    })
+    await writer.close()
+    await shared?.close()
+    await storeCache(true)
+    spinner.stopAndPersist()
+    console.log(formatSelfCheck(check))
+  } catch (err) {
+    spinner.fail(err.stack)
+  } finally {
+    await pool.end()
   }
-})
-
-try {
-  await source
-    .pipeThrough(new Stringify())
-    .pipeTo(Writable.toWeb(fs.createWriteStream('./out/denylist-cars.json', { flags: state.currentID ? 'a' : 'w' })))
-  spinner.stopAndPersist()
-} catch (err) {
-  spinner.fail(err.stack)
-} finally {
-  await pool.end()
 }
@@ -1,9 +1,9 @@
 /**
- * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node export-cars.mjs
+ * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node cli.mjs export bitswap
  */
 import fs from 'node:fs'
+import path from 'node:path'
 import { Readable, Writable } from 'node:stream'
-import dotenv from 'dotenv'
 import pg from 'pg'
 import { NFTStorage } from 'nft.storage'
 import { CARReaderStream, CARWriterStream } from 'carstream'
@@ -12,8 +12,10 @@ import * as Link from 'multiformats/link'
 import bytes from 'bytes'
 import { TimeoutController } from 'timeout-abort-controller'
 import { HashingLinkIndexer } from 'linkdex/hashing-indexer.js'
-
-dotenv.config()
+import * as State from './lib/state.mjs'
+import * as CurrentIDState from './lib/currentid-state.mjs'
+import { formatSelfCheck } from './lib/uploads.mjs'
+import { mustGetEnv } from './utils.mjs'
 
 /**
  * @typedef {{
@@ -45,25 +47,33 @@ const PEERS = [
   '/ip4/212.6.53.51/tcp/8888/p2p/12D3KooWRPfVRXRzEsSrJVhcu616vniJF8zQbuBN87skKdh93CbM'
 ]
 
-const LIST_NFTS = `SELECT * FROM upload WHERE type = 'Nft' OFFSET $1 LIMIT $2`
+const LIST_NFTS = `SELECT * FROM upload WHERE type = 'Nft' AND id > $1 ORDER BY id ASC LIMIT $2`
+const COUNT_NFTS = `SELECT COUNT(*) FROM upload WHERE type = 'Nft' AND id > $1 AND id <= $2`
+const PAGE_SIZE = 1000
 
-async function main () {
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const { outDir } = options
   const connectionString = mustGetEnv('PROD_RO_DATABASE_CONNECTION')
   const token = mustGetEnv('NFT_STORAGE_TOKEN')
+  const statePath = options.state ?? path.join(outDir, 'export-bitswap.state.json')
+  const state = (await State.load({ path: statePath, ...CurrentIDState })) ?? CurrentIDState.init()
 
   /** @type {pg.Pool} */
   const pool = new pg.Pool({ connectionString })
 
   try {
-    await getUploadReader(pool)
+    await getUploadReader(pool, state.currentID, options.pageSize ?? PAGE_SIZE)
       .pipeThrough(getUploadFilter())
-      .pipeThrough(getCompleteFilter())
-      .pipeThrough(getContentExtractor())
+      .pipeThrough(getCompleteFilter(outDir))
+      .pipeThrough(getContentExtractor(outDir))
       .pipeThrough(getContentStorer(token))
       .pipeTo(new WritableStream({
         async write (item) {
-          await setComplete(item.upload.content_cid)
+          await setComplete(outDir, item.upload.content_cid)
           await fs.promises.rm(item.path)
+          state.currentID = BigInt(item.upload.id)
+          await State.store({ path: statePath, ...CurrentIDState }, state)
         }
       }))
     console.log('✅ done')
@@ -72,45 +82,56 @@ async function main () {
   }
 }
 
-/** @param {string} key */
-const mustGetEnv = key => {
-  const val = process.env[key]
-  if (!val) throw new Error(`missing environment variable: ${key}`)
-  return val
-}
-
-/** @param {string} root */
-const isComplete = async root => {
+/**
+ * @param {string} outDir
+ * @param {string} root
+ */
+const isComplete = async (outDir, root) => {
   try {
-    const stat = await fs.promises.stat(`./out/completed/${root}`)
+    const stat = await fs.promises.stat(path.join(outDir, 'completed', root))
     return stat.isFile()
   } catch {
     return false
   }
 }
 
-/** @param {string} root */
-const setComplete = async root => {
-  await fs.promises.mkdir('./out/completed', { recursive: true })
-  await fs.promises.writeFile(`./out/completed/${root}`, '')
+/**
+ * @param {string} outDir
+ * @param {string} root
+ */
+const setComplete = async (outDir, root) => {
+  await fs.promises.mkdir(path.join(outDir, 'completed'), { recursive: true })
+  await fs.promises.writeFile(path.join(outDir, 'completed', root), '')
 }
 
-/** @param {pg.Pool} pg */
-const getUploadReader = (pg) => {
-  let offset = 0
-  const limit = 1000
+/**
+ * Reads NFT uploads with IDs after `from`, paging by the last ID read so rows
+ * inserted mid-run cannot shift pages.
+ *
+ * @param {pg.Pool} pg
+ * @param {bigint} from
+ * @param {number} limit
+ */
+const getUploadReader = (pg, from, limit) => {
+  let cursor = from
+  let visited = 0
   /** @type {ReadableStream<Upload>} */
   const readable = new ReadableStream({
     async pull (controller) {
       let db
       try {
-        console.log(`reading uploads ${offset}-${offset+limit}`)
+        console.log(`reading uploads after ${cursor}`)
         db = await pg.connect()
-        const results = await db.query(LIST_NFTS, [offset, limit])
-        if (!results.rows.length) return controller.close()
+        const results = await db.query(LIST_NFTS, [cursor, limit].map(String))
+        if (!results.rows.length) {
+          const { rows } = await db.query(COUNT_NFTS, [from, cursor].map(String))
+          console.log(formatSelfCheck({ from, to: cursor, visited, expected: Number(rows[0].count) }))
+          return controller.close()
+        }
+        visited += results.rows.length
+        cursor = BigInt(results.rows[results.rows.length - 1].id)
         const rows = results.rows.filter(r => (r.backup_urls ?? []).length === 0)
         for (const row of rows) controller.enqueue(row)
-        offset += limit
       } finally {
         db && db.release()
       }
@@ -129,11 +150,12 @@ const getUploadFilter = () => {
   })
 }
 
-const getCompleteFilter = () => {
+/** @param {string} outDir */
+const getCompleteFilter = outDir => {
   /** @type {TransformStream<Upload, Upload>} */
   return new TransformStream({
     async transform (upload, controller) {
-      const complete = await isComplete(upload.content_cid)
+      const complete = await isComplete(outDir, upload.content_cid)
       if (complete) {
         return console.log(`✅ previously stored ${upload.content_cid}`)
       }
@@ -142,16 +164,17 @@ const getCompleteFilter = () => {
   })
 }
 
-const getContentExtractor = () => {
+/** @param {string} outDir */
+const getContentExtractor = outDir => {
   /** @type {TransformStream<Upload, LocalUpload>} */
   const transform = new TransformStream({
     async start () {
-      await fs.promises.mkdir('./out/contents', { recursive: true })
+      await fs.promises.mkdir(path.join(outDir, 'contents'), { recursive: true })
     },
     async transform (upload, controller) {
       const peers = shuffle([...PEERS])
       for (const peer of peers) {
-        const destPath = `./out/contents/${upload.content_cid}.car`
+        const destPath = path.join(outDir, 'contents', `${upload.content_cid}.car`)
         const root = Link.parse(upload.content_cid)
         try {
           await exportDAG(peer, root)
@@ -291,5 +314,3 @@ const getContentStorer = token => {
   })
   return transform
 }
-
-main()
@@ -1,9 +1,9 @@
 /**
- * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node export-cars.mjs
+ * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node cli.mjs export r2 --input ./data_2.json
  */
 import fs from 'node:fs'
+import path from 'node:path'
 import { Writable } from 'node:stream'
-import dotenv from 'dotenv'
 import pg from 'pg'
 import { S3Client, GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3'
 import { NFTStorage } from 'nft.storage'
@@ -13,8 +13,7 @@ import { Dagula } from 'dagula'
 import * as Link from 'multiformats/link'
 import bytes from 'bytes'
 import retry from 'p-retry'
-
-dotenv.config()
+import { mustGetEnv } from './utils.mjs'
 
 /**
  * @typedef {{ piece: string, contents: string[], filename: string }} Item
@@ -22,7 +21,10 @@ dotenv.config()
 
 const GET_CARGO_FILE = `SELECT DISTINCT metadata->>'md5hex' || '_' || piece_cid || '.car' AS filename FROM cargo.aggregate_entries JOIN cargo.aggregates USING (aggregate_cid) WHERE cid_v1 = $1;`
 
-async function main () {
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const { outDir } = options
+  const input = options.input ?? path.resolve('./data_2.json')
   const connectionString = mustGetEnv('PROD_RO_DATABASE_CONNECTION')
   const endpoint = mustGetEnv('R2_ENDPOINT')
   const bucket = mustGetEnv('R2_BUCKET')
@@ -30,32 +32,25 @@ async function main () {
   const secretAccessKey = mustGetEnv('R2_SECRET_ACCESS_KEY')
   const token = mustGetEnv('NFT_STORAGE_TOKEN')
 
-  await getSourceReader()
+  await getSourceReader(input)
     .pipeThrough(getFilenameTransformer(connectionString))
     .pipeTo(new WritableStream({
       async write (item) {
-        if (await isComplete(item.piece)) {
+        if (await isComplete(outDir, item.piece)) {
           return console.log(`${item.piece} has been completed previously`)
         }
 
         await toReadable([item])
-          .pipeThrough(getCargoDownloader(endpoint, bucket, accessKeyId, secretAccessKey))
-          .pipeThrough(getContentExtractor())
-          .pipeTo(getContentStorer(token))
+          .pipeThrough(getCargoDownloader(outDir, endpoint, bucket, accessKeyId, secretAccessKey))
+          .pipeThrough(getContentExtractor(outDir))
+          .pipeTo(getContentStorer(outDir, token))
 
-        await setComplete(item.piece)
-        await fs.promises.rm(`./out/${item.filename}`)
+        await setComplete(outDir, item.piece)
+        await fs.promises.rm(path.join(outDir, item.filename))
       }
     }))  
 }
 
-/** @param {string} key */
-const mustGetEnv = key => {
-  const val = process.env[key]
-  if (!val) throw new Error(`missing environment variable: ${key}`)
-  return val
-}
-
 /**
  * @template T
  * @param {T[]} arr
@@ -68,23 +63,30 @@ const toReadable = arr => new ReadableStream({
   }
 })
 
-/** @param {string} piece */
-const isComplete = async piece => {
+/**
+ * @param {string} outDir
+ * @param {string} piece
+ */
+const isComplete = async (outDir, piece) => {
   try {
-    const stat = await fs.promises.stat(`./out/completed/${piece}`)
+    const stat = await fs.promises.stat(path.join(outDir, 'completed', piece))
     return stat.isFile()
   } catch {
     return false
   }
 }
 
-/** @param {string} piece */
-const setComplete = async piece => {
-  await fs.promises.mkdir('./out/completed', { recursive: true })
-  await fs.promises.writeFile(`./out/completed/${piece}`, '')
+/**
+ * @param {string} outDir
+ * @param {string} piece
+ */
+const setComplete = async (outDir, piece) => {
+  await fs.promises.mkdir(path.join(outDir, 'completed'), { recursive: true })
+  await fs.promises.writeFile(path.join(outDir, 'completed', piece), '')
 }
 
-const getSourceReader = () => {
+/** @param {string} input */
+const getSourceReader = input => {
   /** @type {Item[]} */
   const data = []
   /** @type {ReadableStream<Item>} */
@@ -92,7 +94,7 @@ const getSourceReader = () => {
     async start () {
       /** @type {Map<string, string[]>} */
       const pieces = new Map()
-      const json = JSON.parse(await fs.promises.readFile('./data_2.json', 'utf8'))
+      const json = JSON.parse(await fs.promises.readFile(input, 'utf8'))
       console.log(`${json.value.length} content CIDs`)
       for (const item of json.value) {
         const cids = pieces.get(item.deals[0].pieceCid) ?? []
@@ -138,12 +140,13 @@ const getFilenameTransformer = (connectionString) => {
 }
 
 /**
+ * @param {string} outDir
  * @param {string} endpoint
  * @param {string} bucket
  * @param {string} accessKeyId
  * @param {string} secretAccessKey
  */
-const getCargoDownloader = (endpoint, bucket, accessKeyId, secretAccessKey) => {
+const getCargoDownloader = (outDir, endpoint, bucket, accessKeyId, secretAccessKey) => {
   const s3 = new S3Client({
     endpoint,
     region: 'auto',
@@ -152,7 +155,7 @@ const getCargoDownloader = (endpoint, bucket, accessKeyId, secretAccessKey) => {
   /** @type {TransformStream<Item, Item>} */
   const transform = new TransformStream({
     async transform (item, controller) {
-      const destPath = `./out/${item.filename}`
+      const destPath = path.join(outDir, item.filename)
 
       await retry(async () => {
         let localSize = 0
@@ -203,18 +206,19 @@ const getCargoDownloader = (endpoint, bucket, accessKeyId, secretAccessKey) => {
   return transform
 }
 
-const getContentExtractor = () => {
+/** @param {string} outDir */
+const getContentExtractor = outDir => {
   /** @type {TransformStream<Item, Item>} */
   const transform = new TransformStream({
     async start () {
-      await fs.promises.mkdir('./out/contents', { recursive: true })
+      await fs.promises.mkdir(path.join(outDir, 'contents'), { recursive: true })
     },
     async transform (item, controller) {
       console.log(`indexing ${item.filename}`)
-      const reader = await CarIndexedReader.fromFile(`./out/${item.filename}`)
+      const reader = await CarIndexedReader.fromFile(path.join(outDir, item.filename))
       let i = 0
       for (const content of item.contents) {
-        const destPath = `./out/contents/${content}.car`
+        const destPath = path.join(outDir, 'contents', `${content}.car`)
         const root = Link.parse(content)
         console.log(`exporting ${content} (${i + 1} of ${item.contents.length})`)
         await exportDAG(reader, root)
@@ -247,15 +251,18 @@ const exportDAG = (reader, content) => {
   return readable
 }
 
-/** @param {string} token */
-const getContentStorer = token => {
+/**
+ * @param {string} outDir
+ * @param {string} token
+ */
+const getContentStorer = (outDir, token) => {
   const storage = new NFTStorage({ token })
 
   /** @type {WritableStream<Item, Item>} */
   const writable = new WritableStream({
     async write (item) {
       for (const content of item.contents) {
-        const data = await fs.promises.readFile(`./out/contents/${content}.car`)
+        const data = await fs.promises.readFile(path.join(outDir, 'contents', `${content}.car`))
         const blob = new Blob([data])
         await storage.storeCar(blob, {
           onStoredChunk: (size) => {
@@ -268,5 +275,3 @@ const getContentStorer = token => {
   })
   return writable
 }
-
-main()
@@ -0,0 +1,174 @@
+/**
+ * Usage: node cli.mjs forecast [--window 12] [--ahead 12] [--model linear,exponential] [--confidence 0.95] [--to YYYY-MM] [--format csv,json] [--unit TiB]
+ *
+ * Fits trends to the running totals in "count monthly" state (and the
+ * Filecoin totals "count filecoin" wrote, if any) over the last `window`
+ * periods up to `to`, and projects them `ahead` periods on.
+ */
+import fs from 'node:fs'
+import path from 'node:path'
+import * as State from './lib/state.mjs'
+import * as MonthlyState from './lib/monthly-state.mjs'
+import { periodStart, bucketKey, addPeriods, periodColumn } from './lib/buckets.mjs'
+import { UNITS, render, inDateRange } from './lib/report.mjs'
+import { realTable, adjustedTable, filecoinTable, readFilecoin } from './lib/monthly-tables.mjs'
+import { MODELS, fit, project, describeGrowth } from './lib/forecast.mjs'
+
+const WINDOW = 12
+const AHEAD = 12
+const CONFIDENCE = 0.95
+
+/**
+ * A series of running totals to forecast.
+ *
+ * @typedef {{ name: string, kind: 'bytes'|'count', totals: Map<string, number> }} Series
+ */
+
+/**
+ * @param {string} name
+ * @param {import('./lib/report.mjs').Table} table
+ * @param {string} key
+ * @param {'bytes'|'count'} kind
+ * @returns {Series}
+ */
+const seriesOf = (name, table, key, kind) => ({
+  name,
+  kind,
+  totals: new Map(table.rows.filter(r => r[key] != null).map(r => [String(r.period), Number(r[key])]))
+})
+
+/**
+ * The running total at each of `periods`, carrying the last one forward over
+ * periods without any change. Undefined before the series starts.
+ *
+ * @param {Series} series
+ * @param {string[]} periods
+ * @returns {Array<number|undefined>}
+ */
+const totalsAt = (series, periods) => {
+  const known = [...series.totals.keys()].sort()
+  /** @type {number|undefined} */
+  let last
+  let i = 0
+  return periods.map(p => {
+    while (i < known.length && known[i] <= p) last = series.totals.get(known[i++]) ?? last
+    return last
+  })
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const statePath = options.state ?? path.join(options.outDir, 'count-dag-size-monthly.state.json')
+  const state = await State.load({ path: statePath, ...MonthlyState })
+  if (!state) throw new Error('missing state')
+  const { bucketing } = state
+  const window = options.window ?? WINDOW
+  const ahead = options.ahead ?? AHEAD
+  const models = options.model ?? MODELS
+  const confidence = options.confidence ?? CONFIDENCE
+  const unit = options.unit ?? 'TiB'
+
+  const real = realTable(state)
+  const adjusted = adjustedTable(state)
+  /** @type {Series[]} */
+  const series = [
+    seriesOf('real', real, 'total_data', 'bytes'),
+    seriesOf('adjusted', adjusted, 'total_data', 'bytes'),
+    seriesOf('real', real, 'total_uploads', 'count'),
+    seriesOf('adjusted', adjusted, 'total_uploads', 'count')
+  ]
+  const filecoin = await readFilecoin(path.join(options.outDir, 'filecoin.json'))
+  if (filecoin && filecoin.bucketing.granularity === bucketing.granularity && filecoin.bucketing.tz === bucketing.tz) {
+    series.push(seriesOf('filecoin', filecoinTable(filecoin), 'total_data', 'bytes'))
+  } else if (filecoin) {
+    console.log(`⚠️ Filecoin totals are bucketed by ${filecoin.bucketing.granularity} (${filecoin.bucketing.tz}), not ${bucketing.granularity} (${bucketing.tz}), and are left out`)
+  }
+
+  const end = Object.keys(state.totals).sort().filter(p => inDateRange(periodStart(p), { to: options.to })).pop()
+  if (!end) throw new Error('no periods to fit')
+  if (end === bucketKey(new Date(), bucketing)) {
+    console.log(`⚠️ ${end} is not over yet, use --to to leave it out of the fit`)
+  }
+  const periods = Array.from({ length: window }, (_, i) => addPeriods(end, i - window + 1, bucketing.granularity))
+  const future = Array.from({ length: ahead }, (_, i) => addPeriods(end, i + 1, bucketing.granularity))
+  console.log(`Fitting ${periods[0]} to ${end}, projecting to ${future[future.length - 1]} (${confidence * 100}% prediction interval)`)
+
+  /** @type {Record<'bytes'|'count', Array<Record<string, string|number>>>} */
+  const rows = { bytes: [], count: [] }
+  /** @type {Array<Record<string, string|number>>} */
+  const fits = []
+  for (const s of series) {
+    /** @param {number} v */
+    const format = v => s.kind === 'bytes' ? `${(v / UNITS[unit]).toFixed(2)} ${unit}` : Math.round(v).toLocaleString()
+    const values = totalsAt(s, periods)
+    for (const model of models) {
+      const f = fit(model, values)
+      if (!f) {
+        console.log(`⚠️ too few points to fit ${model} ${s.name} ${s.kind === 'bytes' ? 'data' : 'uploads'}`)
+        continue
+      }
+      const growth = describeGrowth(f, format)
+      fits.push({ series: s.name, measure: s.kind === 'bytes' ? 'data' : 'uploads', model, points: f.n, growth, r2: f.r2.toFixed(4) })
+      console.log(`${s.name} ${s.kind === 'bytes' ? 'data' : 'uploads'} (${model}): ${growth} per ${bucketing.granularity}, r² ${f.r2.toFixed(4)}`)
+      future.forEach((period, i) => {
+        const p = project(f, window + i, confidence)
+        const round = s.kind === 'count' ? Math.round : (/** @type {number} */ v) => v
+        rows[s.kind].push({ period, series: s.name, model, value: round(p.value), lower: round(p.lower), upper: round(p.upper) })
+      })
+    }
+  }
+
+  /** @type {import('./lib/report.mjs').Column} */
+  const periodLabel = { key: 'period', label: periodColumn(bucketing.granularity), kind: 'label' }
+  const labelColumns = /** @type {import('./lib/report.mjs').Column[]} */ ([
+    periodLabel,
+    { key: 'series', label: 'Series', kind: 'label' },
+    { key: 'model', label: 'Model', kind: 'label' }
+  ])
+  /**
+   * @param {'bytes'|'count'} kind
+   * @param {string} label
+   * @returns {import('./lib/report.mjs').Column[]}
+   */
+  const projectionColumns = (kind, label) => [
+    { key: 'value', label, kind },
+    { key: 'lower', label: `${label} Lower Bound`, kind },
+    { key: 'upper', label: `${label} Upper Bound`, kind }
+  ]
+  /** @type {import('./lib/report.mjs').Table[]} */
+  const tables = [
+    {
+      name: 'forecast-data',
+      title: 'Projected total data',
+      columns: [...labelColumns, ...projectionColumns('bytes', 'Total Data')],
+      rows: rows.bytes
+    },
+    {
+      name: 'forecast-uploads',
+      title: 'Projected total uploads',
+      columns: [...labelColumns, ...projectionColumns('count', 'Total Uploads')],
+      rows: rows.count
+    },
+    {
+      name: 'forecast-fits',
+      title: `Trends fitted from ${periods[0]} to ${end}`,
+      columns: [
+        { key: 'series', label: 'Series', kind: 'label' },
+        { key: 'measure', label: 'Measure', kind: 'label' },
+        { key: 'model', label: 'Model', kind: 'label' },
+        { key: 'points', label: 'Points', kind: 'count' },
+        { key: 'growth', label: `Growth per ${periodColumn(bucketing.granularity)}`, kind: 'label' },
+        { key: 'r2', label: 'R²', kind: 'label' }
+      ],
+      rows: fits
+    }
+  ]
+
+  const meta = { unit, bucketing }
+  for (const format of options.format ?? ['csv']) {
+    for (const [name, data] of render(tables, format, meta)) {
+      await fs.promises.writeFile(path.join(options.outDir, name), data)
+      console.log(`wrote ${path.join(options.outDir, name)}`)
+    }
+  }
+}
@@ -0,0 +1,247 @@
+import retry from 'p-retry'
+import map from 'p-map'
+import { QueryCommand } from '@aws-sdk/client-dynamodb'
+import { GetObjectCommand } from '@aws-sdk/client-s3'
+import { CARReaderStream } from 'carstream'
+import { base58btc } from 'multiformats/bases/base58'
+import { maybeDecode } from 'linkdex/decode.js'
+import { createS3Clients } from './s3.mjs'
+
+/**
+ * Where blocks are stored: the blocks-cars-position DynamoDB table maps a
+ * block's multihash (base58btc) to the CARs holding it, by "CAR path":
+ * `<region>/<bucket>/<key>`. Uploaded CARs are keyed `raw/<root>/...`, by the
+ * root CID of the upload they came from.
+ *
+ * @typedef {import('multiformats').UnknownLink} Link
+ * @typedef {{ region: string, bucket: string, key: string, root?: string }} CarLocation
+ * @typedef {{ blocks: Map<string, string[]>, missing: string[] }} DagLocations
+ */
+
+const CONCURRENCY = 10
+
+/**
+ * @param {string} carpath
+ * @returns {CarLocation}
+ */
+export const parseCarPath = carpath => {
+  const [region, bucket, ...rest] = carpath.split('/')
+  const key = rest.join('/')
+  if (!region || !bucket || !key) throw new Error(`invalid CAR path: ${carpath}`)
+  const root = key.match(/^raw\/([^/]+)\//)?.[1]
+  return { region, bucket, key, ...(root ? { root } : {}) }
+}
+
+/**
+ * The CAR path of an upload's backup URL, or undefined if it is not an S3 or
+ * R2 object URL. Both virtual hosted (`<bucket>.s3.<region>.amazonaws.com`)
+ * and path style (`s3.<region>.amazonaws.com/<bucket>`) S3 URLs are read, and
+ * R2 URLs (`<account>.r2.cloudflarestorage.com/<bucket>`) have region `auto`.
+ *
+ * @param {string} url
+ */
+export const parseBackupURL = url => {
+  let u, parts
+  try {
+    u = new URL(url)
+    parts = u.pathname.slice(1).split('/').map(decodeURIComponent)
+  } catch {
+    return
+  }
+  let region, bucket
+  let m
+  if ((m = u.hostname.match(/^(.+)\.s3[.-]([a-z0-9-]+)\.amazonaws\.com$/))) {
+    [, bucket, region] = m
+  } else if ((m = u.hostname.match(/^(.+)\.s3\.amazonaws\.com$/))) {
+    [, bucket] = m
+    region = 'us-east-1'
+  } else if ((m = u.hostname.match(/^s3[.-]([a-z0-9-]+)\.amazonaws\.com$/))) {
+    region = m[1]
+    bucket = parts.shift()
+  } else if (u.hostname.endsWith('.r2.cloudflarestorage.com')) {
+    region = 'auto'
+    bucket = parts.shift()
+  }
+  const key = parts.join('/')
+  if (!region || !bucket || !key) return
+  return `${region}/${bucket}/${key}`
+}
+
+/**
+ * Paths of the CARs holding the block `cid`.
+ *
+ * @param {import('@aws-sdk/client-dynamodb').DynamoDBClient} dynamo
+ * @param {string} table
+ * @param {Link} cid
+ */
+export const fetchCarPaths = async (dynamo, table, cid) => {
+  const keys = []
+  let cursor
+  while (true) {
+    const cmd = new QueryCommand({
+      TableName: table,
+      Limit: 1000,
+      KeyConditions: {
+        blockmultihash: {
+          ComparisonOperator: 'EQ',
+          AttributeValueList: [{ S: base58btc.encode(cid.multihash.bytes) }]
+        }
+      },
+      ExclusiveStartKey: cursor
+    })
+
+    const res = await retry(async () => {
+      try {
+        return await dynamo.send(cmd)
+      } catch (err) {
+        throw new Error(`failed to list keys: ${cid}`, { cause: err })
+      }
+    }, { onFailedAttempt: console.warn })
+
+    for (const raw of res.Items ?? []) {
+      keys.push(raw.carpath.S)
+    }
+
+    cursor = res.LastEvaluatedKey
+    if (!cursor) break
+  }
+  return keys
+}
+
+/**
+ * Put a cache in front of `lookup`, so the CARs holding a block are only
+ * looked up once while it stays cached. Blocks are cached by multihash (as in
+ * the table), so a CID in any version or codec finds them. Concurrent lookups
+ * of the same block share one request. `cached` is set when the paths came
+ * from the cache.
+ *
+ * @param {(cid: Link) => Promise<string[]>} lookup
+ * @param {import('./lru-cache.mjs').LRUCache<string[]>} cache
+ * @returns {(cid: Link) => Promise<{ keys: string[], cached: boolean }>}
+ */
+export const cacheCarPaths = (lookup, cache) => {
+  /** @type {Map<string, Promise<string[]>>} */
+  const pending = new Map()
+  return async cid => {
+    const id = base58btc.encode(cid.multihash.bytes)
+    const keys = cache.get(id)
+    if (keys) return { keys, cached: true }
+    let request = pending.get(id)
+    if (!request) {
+      request = lookup(cid)
+        .then(keys => {
+          cache.set(id, keys)
+          return keys
+        })
+        .finally(() => pending.delete(id))
+      pending.set(id, request)
+    }
+    return { keys: await request, cached: false }
+  }
+}
+
+/**
+ * Read CARs by path, with an S3 client per region.
+ *
+ * @param {{ endpoint?: string }} [options]
+ */
+export const createCarReader = options => {
+  const client = createS3Clients(options)
+
+  /**
+   * The blocks in the CAR at `carpath`, and the CIDs each links to.
+   *
+   * @param {string} carpath
+   * @returns {AsyncIterable<{ cid: Link, links: Link[] }>}
+   */
+  return async function * readCar (carpath) {
+    const { region, bucket, key } = parseCarPath(carpath)
+    const res = await retry(() => client(region).send(new GetObjectCommand({ Bucket: bucket, Key: key })), { onFailedAttempt: console.warn })
+    if (!res.Body) throw new Error(`missing body: ${carpath}`)
+    const body = /** @type {ReadableStream<Uint8Array>} */ (res.Body.transformToWebStream())
+    const blocks = body.pipeThrough(new CARReaderStream())
+    for await (const block of blocks) {
+      yield { cid: block.cid, links: linksOf(block) }
+    }
+  }
+}
+
+/**
+ * @param {{ cid: Link, bytes: Uint8Array }} block
+ * @returns {Link[]}
+ */
+const linksOf = block => {
+  const decoded = maybeDecode(block)
+  return decoded ? [...decoded.links()].map(([, cid]) => cid) : []
+}
+
+/**
+ * Find every block of the DAG under `root`, and the CARs holding each. Blocks
+ * are located in the table, and their links found by reading the CARs they
+ * are in, so blocks in other CARs (e.g. other shards, or a re-upload with a
+ * different root) are found too. `missing` lists the blocks that are in no
+ * CAR, so the DAG below them could not be followed.
+ *
+ * @param {Link} root
+ * @param {{ findCars: (cid: Link) => Promise<string[]>, readCar: (carpath: string) => AsyncIterable<{ cid: Link, links: Link[] }>, concurrency?: number }} options
+ * @returns {Promise<DagLocations>}
+ */
+export const locateDag = async (root, { findCars, readCar, concurrency = CONCURRENCY }) => {
+  /** @type {Map<string, Link[]>} */
+  const links = new Map()
+  /** @type {Map<string, Promise<void>>} */
+  const reads = new Map()
+  /** @type {Map<string, string[]>} */
+  const blocks = new Map()
+  /** @type {string[]} */
+  const missing = []
+
+  /** @param {string} carpath */
+  const read = carpath => {
+    let pending = reads.get(carpath)
+    if (!pending) {
+      pending = (async () => {
+        for await (const block of readCar(carpath)) links.set(block.cid.toString(), block.links)
+      })()
+      reads.set(carpath, pending)
+    }
+    return pending
+  }
+
+  /** @type {Link[]} */
+  let queue = [root]
+  const seen = new Set([root.toString()])
+  while (queue.length) {
+    const level = queue
+    queue = []
+    await map(level, async cid => {
+      const key = cid.toString()
+      // identity CIDs hold their block, so are stored nowhere
+      if (cid.multihash.code === 0) {
+        blocks.set(key, [])
+        links.set(key, linksOf({ cid, bytes: cid.multihash.digest }))
+        return
+      }
+      const cars = await findCars(cid)
+      blocks.set(key, cars)
+      for (const carpath of cars) {
+        if (links.has(key)) break
+        await read(carpath)
+      }
+    }, { concurrency })
+
+    for (const cid of level) {
+      const children = links.get(cid.toString())
+      if (!children) {
+        missing.push(cid.toString())
+        continue
+      }
+      for (const child of children) {
+        if (seen.has(child.toString())) continue
+        seen.add(child.toString())
+        queue.push(child)
+      }
+    }
+  }
+  return { blocks, missing }
+}
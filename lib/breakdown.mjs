@@ -0,0 +1,209 @@
+/**
+ * Optional breakdowns of the `real` totals for a period:
+ *
+ *   type    by upload type (Blob, Car, Multipart, Nft, Remote)
+ *   status  active versus soft-deleted (`deleted_at` set)
+ *   user    the users with the most bytes
+ *
+ * The users are tracked with a bounded "space saving" summary of `capacity`
+ * counters, so the state stays small however many users there are. A user
+ * admitted after another was evicted inherits the evicted count, so `bytes`
+ * is an upper bound and `bytes - error` a lower bound on the user's bytes.
+ * Any user with more than 1/capacity of the period's bytes is always listed.
+ *
+ * @typedef {'type'|'status'|'user'} Dimension
+ * @typedef {{ dimensions: Dimension[], topUsers: number }} BreakdownConf
+ * @typedef {import('./monthly-state.mjs').Total} Total
+ * @typedef {Total & { error: number }} UserTotal
+ * @typedef {{
+ *   type?: Record<string, Total>
+ *   status?: Record<string, Total>
+ *   user?: Record<string, UserTotal>
+ * }} Breakdown
+ */
+
+/** @type {Dimension[]} */
+export const DIMENSIONS = ['type', 'status', 'user']
+
+export const DEFAULT_TOP_USERS = 10
+
+/** @type {BreakdownConf} */
+export const NO_BREAKDOWN = { dimensions: [], topUsers: 0 }
+
+/** Counters kept per listed user, see `capacity`. */
+const CAPACITY_FACTOR = 10
+
+/** @param {BreakdownConf} conf */
+export const capacity = conf => conf.topUsers * CAPACITY_FACTOR
+
+/**
+ * @param {string} value Comma separated dimensions.
+ * @returns {Dimension[]}
+ */
+export const parseDimensions = value => {
+  const dimensions = value.split(',').map(d => d.trim()).filter(Boolean)
+  for (const d of dimensions) {
+    if (!DIMENSIONS.includes(/** @type {Dimension} */ (d))) {
+      throw new Error(`invalid dimension: ${d} (expected one of ${DIMENSIONS.join(', ')})`)
+    }
+  }
+  return /** @type {Dimension[]} */ ([...new Set(dimensions)].sort())
+}
+
+/**
+ * Breakdown for a run: taken from the options, or from persisted state when
+ * resuming. Throws if the options contradict the persisted state, since
+ * periods already counted would be missing the breakdown.
+ *
+ * @param {BreakdownConf|undefined} persisted
+ * @param {{ by?: Dimension[], topUsers?: number }} options
+ * @returns {BreakdownConf}
+ */
+export const resolveBreakdown = (persisted, { by, topUsers }) => {
+  if (!persisted) {
+    const dimensions = by ?? []
+    return { dimensions, topUsers: dimensions.includes('user') ? topUsers ?? DEFAULT_TOP_USERS : 0 }
+  }
+  if (by && by.join(',') !== persisted.dimensions.join(',')) {
+    throw new Error(`state is broken down by "${persisted.dimensions.join(',')}", not "${by.join(',')}"`)
+  }
+  if (topUsers && topUsers !== persisted.topUsers) {
+    throw new Error(`state tracks the top ${persisted.topUsers} users, not ${topUsers}`)
+  }
+  return persisted
+}
+
+/**
+ * Upload columns needed for the configured dimensions.
+ *
+ * @param {BreakdownConf} conf
+ */
+export const breakdownColumns = conf => conf.dimensions.map(d => ({ type: 'type', status: 'deleted_at', user: 'user_id' })[d])
+
+/**
+ * @param {Record<string, Total>} totals
+ * @param {string} key
+ * @param {number} bytes
+ */
+const add = (totals, key, bytes) => {
+  totals[key] = totals[key] ?? { bytes: 0, count: 0 }
+  totals[key].bytes += bytes
+  totals[key].count++
+}
+
+/** @param {Record<string, UserTotal>} users */
+const smallest = users => {
+  let min
+  for (const [user, total] of Object.entries(users)) {
+    if (!min || total.bytes < min[1].bytes) min = [user, total]
+  }
+  return /** @type {[string, UserTotal]} */ (min)
+}
+
+/**
+ * @param {Record<string, UserTotal>} users
+ * @param {string} user
+ * @param {Total} total
+ * @param {number} capacity
+ */
+const addUser = (users, user, { bytes, count }, capacity) => {
+  if (users[user]) {
+    users[user].bytes += bytes
+    users[user].count += count
+    return
+  }
+  if (Object.keys(users).length < capacity) {
+    users[user] = { bytes, count, error: 0 }
+    return
+  }
+  const [evicted, min] = smallest(users)
+  delete users[evicted]
+  users[user] = { bytes: min.bytes + bytes, count: min.count + count, error: min.bytes }
+}
+
+/**
+ * Add uploads, each with its DAG size, to the breakdown of one period.
+ *
+ * @param {Breakdown} by
+ * @param {Array<{ upload: import('./uploads.mjs').Upload, bytes: number }>} items
+ * @param {BreakdownConf} conf
+ */
+export const addUploads = (by, items, conf) => {
+  if (conf.dimensions.includes('type')) {
+    by.type = by.type ?? {}
+    for (const { upload, bytes } of items) add(by.type, upload.type, bytes)
+  }
+  if (conf.dimensions.includes('status')) {
+    by.status = by.status ?? {}
+    for (const { upload, bytes } of items) add(by.status, upload.deleted_at ? 'deleted' : 'active', bytes)
+  }
+  if (conf.dimensions.includes('user')) {
+    // total per user first, so the summary sees each user once per batch
+    /** @type {Record<string, Total>} */
+    const users = {}
+    for (const { upload, bytes } of items) add(users, String(upload.user_id), bytes)
+    by.user = by.user ?? {}
+    for (const [user, total] of Object.entries(users)) addUser(by.user, user, total, capacity(conf))
+  }
+  return by
+}
+
+/**
+ * @param {Record<string, Total>} into
+ * @param {Record<string, Total>} from
+ */
+const mergeTotals = (into, from) => {
+  for (const [key, total] of Object.entries(from)) {
+    into[key] = into[key] ?? { bytes: 0, count: 0 }
+    into[key].bytes += total.bytes
+    into[key].count += total.count
+  }
+}
+
+/**
+ * Merge two user summaries. A user missing from a full summary may have been
+ * evicted from it, with at most its smallest count.
+ *
+ * @param {Record<string, UserTotal>} a
+ * @param {Record<string, UserTotal>} b
+ * @param {number} capacity
+ */
+const mergeUsers = (a, b, capacity) => {
+  const missingA = Object.keys(a).length >= capacity ? smallest(a)[1].bytes : 0
+  const missingB = Object.keys(b).length >= capacity ? smallest(b)[1].bytes : 0
+  /** @type {Record<string, UserTotal>} */
+  const merged = {}
+  for (const user of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    merged[user] = {
+      bytes: (a[user]?.bytes ?? missingA) + (b[user]?.bytes ?? missingB),
+      count: (a[user]?.count ?? 0) + (b[user]?.count ?? 0),
+      error: (a[user]?.error ?? missingA) + (b[user]?.error ?? missingB)
+    }
+  }
+  return Object.fromEntries(Object.entries(merged).sort((x, y) => y[1].bytes - x[1].bytes).slice(0, capacity))
+}
+
+/**
+ * Add the breakdown `from` to `into`.
+ *
+ * @param {Breakdown} into
+ * @param {Breakdown} from
+ * @param {BreakdownConf} conf
+ */
+export const mergeBreakdown = (into, from, conf) => {
+  if (from.type) mergeTotals(into.type = into.type ?? {}, from.type)
+  if (from.status) mergeTotals(into.status = into.status ?? {}, from.status)
+  if (from.user) into.user = mergeUsers(into.user ?? {}, from.user, capacity(conf))
+  return into
+}
+
+/**
+ * The `n` users with the most bytes, most first.
+ *
+ * @param {Record<string, UserTotal>} users
+ * @param {number} n
+ */
+export const topUsers = (users, n) => Object.entries(users)
+  .sort((a, b) => b[1].bytes - a[1].bytes)
+  .slice(0, n)
+  .map(([user, total]) => ({ user, ...total }))
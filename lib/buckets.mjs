@@ -0,0 +1,192 @@
+/**
+ * @typedef {'day'|'week'|'month'|'quarter'|'year'} Granularity
+ * @typedef {{ granularity: Granularity, tz: string }} Bucketing
+ */
+
+/** @type {Granularity[]} */
+export const GRANULARITIES = ['day', 'week', 'month', 'quarter', 'year']
+
+/** @type {Bucketing} */
+export const DEFAULT_BUCKETING = { granularity: 'month', tz: 'UTC' }
+
+/**
+ * Time zone of the host, only for reading state written before bucketing was
+ * explicit.
+ */
+export const LOCAL_TZ = 'local'
+
+/** @param {number} n */
+const pad = n => n.toString().padStart(2, '0')
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map()
+
+/** @param {string} tz */
+const formatter = tz => {
+  let fmt = formatters.get(tz)
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', { timeZone: tz, year: 'numeric', month: 'numeric', day: 'numeric' })
+    formatters.set(tz, fmt)
+  }
+  return fmt
+}
+
+/**
+ * @param {string} tz
+ * @returns {string}
+ */
+export const validateTimeZone = tz => {
+  if (tz === LOCAL_TZ) return tz
+  try {
+    formatter(tz)
+  } catch {
+    throw new Error(`invalid time zone: ${tz}`)
+  }
+  return tz
+}
+
+/**
+ * @param {string} granularity
+ * @returns {Granularity}
+ */
+export const validateGranularity = granularity => {
+  if (!GRANULARITIES.includes(/** @type {Granularity} */ (granularity))) {
+    throw new Error(`invalid granularity: ${granularity} (expected one of ${GRANULARITIES.join(', ')})`)
+  }
+  return /** @type {Granularity} */ (granularity)
+}
+
+/**
+ * Calendar date of `date` in time zone `tz`.
+ *
+ * @param {Date} date
+ * @param {string} tz
+ */
+const calendarDate = (date, tz) => {
+  if (tz === 'UTC') return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+  if (tz === LOCAL_TZ) return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() }
+  const parts = Object.fromEntries(formatter(tz).formatToParts(date).map(p => [p.type, p.value]))
+  return { year: Number(parts.year), month: Number(parts.month), day: Number(parts.day) }
+}
+
+/**
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ */
+const isoWeek = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  // move to the Thursday of this week, which determines the week's year
+  date.setUTCDate(date.getUTCDate() + 4 - (date.getUTCDay() || 7))
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1)
+  const week = Math.ceil(((date.getTime() - yearStart) / 86400000 + 1) / 7)
+  return `${date.getUTCFullYear()}-W${pad(week)}`
+}
+
+/**
+ * Key of the period `date` falls in. Keys sort lexically in time order:
+ *
+ *   day      2024-03-09
+ *   week     2024-W10 (ISO week)
+ *   month    2024-03
+ *   quarter  2024-Q1
+ *   year     2024
+ *
+ * @param {Date|string} date
+ * @param {Bucketing} bucketing
+ */
+export const bucketKey = (date, { granularity, tz }) => {
+  const { year, month, day } = calendarDate(new Date(date), tz)
+  switch (granularity) {
+    case 'day': return `${year}-${pad(month)}-${pad(day)}`
+    case 'week': return isoWeek(year, month, day)
+    case 'month': return `${year}-${pad(month)}`
+    case 'quarter': return `${year}-Q${Math.ceil(month / 3)}`
+    case 'year': return `${year}`
+    default: throw new Error(`invalid granularity: ${granularity}`)
+  }
+}
+
+/**
+ * Bucketing for a run: taken from the options, or from persisted state when
+ * resuming. Throws if the options contradict the persisted state, since the
+ * stored totals would otherwise mix two kinds of period.
+ *
+ * @param {Bucketing|undefined} persisted
+ * @param {{ granularity?: Granularity, tz?: string }} options
+ * @returns {Bucketing}
+ */
+export const resolveBucketing = (persisted, { granularity, tz }) => {
+  if (!persisted) {
+    return { granularity: granularity ?? DEFAULT_BUCKETING.granularity, tz: tz ?? DEFAULT_BUCKETING.tz }
+  }
+  if (granularity && granularity !== persisted.granularity) {
+    throw new Error(`state uses granularity "${persisted.granularity}", not "${granularity}"`)
+  }
+  if (tz && tz !== persisted.tz) {
+    throw new Error(`state uses time zone "${persisted.tz}", not "${tz}"`)
+  }
+  return persisted
+}
+
+/**
+ * Group period keys by year (the first 4 characters), both in time order.
+ *
+ * @param {string[]} keys
+ */
+export const groupByYear = keys => {
+  /** @type {Map<string, string[]>} */
+  const years = new Map()
+  for (const key of [...keys].sort()) {
+    const year = key.slice(0, 4)
+    years.set(year, [...(years.get(year) ?? []), key])
+  }
+  return years
+}
+
+/**
+ * CSV column heading for periods of `granularity`, e.g. "Month".
+ *
+ * @param {Granularity} granularity
+ */
+export const periodColumn = granularity => granularity[0].toUpperCase() + granularity.slice(1)
+
+/**
+ * First calendar day (`YYYY-MM-DD`) of the period with key `key`.
+ *
+ * @param {string} key
+ */
+export const periodStart = key => {
+  let m
+  if ((m = key.match(/^(\d{4})-W(\d{2})$/))) {
+    // ISO week 1 is the week with the year's first Thursday, i.e. with 4 Jan
+    const jan4 = new Date(Date.UTC(Number(m[1]), 0, 4))
+    const monday = new Date(jan4.getTime() - ((jan4.getUTCDay() || 7) - 1) * 86400000 + (Number(m[2]) - 1) * 7 * 86400000)
+    return monday.toISOString().slice(0, 10)
+  }
+  if ((m = key.match(/^(\d{4})-Q([1-4])$/))) return `${m[1]}-${pad((Number(m[2]) - 1) * 3 + 1)}-01`
+  if (/^\d{4}$/.test(key)) return `${key}-01-01`
+  if (/^\d{4}-\d{2}$/.test(key)) return `${key}-01`
+  if (/^\d{4}-\d{2}-\d{2}$/.test(key)) return key
+  throw new Error(`invalid period: ${key}`)
+}
+
+/**
+ * Key of the period `n` periods after the one with key `key`.
+ *
+ * @param {string} key
+ * @param {number} n
+ * @param {Granularity} granularity
+ */
+export const addPeriods = (key, n, granularity) => {
+  const start = new Date(`${periodStart(key)}T00:00:00Z`)
+  switch (granularity) {
+    case 'day': start.setUTCDate(start.getUTCDate() + n); break
+    case 'week': start.setUTCDate(start.getUTCDate() + 7 * n); break
+    case 'month': start.setUTCMonth(start.getUTCMonth() + n); break
+    case 'quarter': start.setUTCMonth(start.getUTCMonth() + 3 * n); break
+    case 'year': start.setUTCFullYear(start.getUTCFullYear() + n); break
+    default: throw new Error(`invalid granularity: ${granularity}`)
+  }
+  return bucketKey(start, { granularity, tz: 'UTC' })
+}
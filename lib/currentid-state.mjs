@@ -12,3 +12,19 @@ export const decode = data => {
 export const encode = state => dagJSON.encode({ currentID: String(state.currentID) })
 
 export const init = () => ({ currentID: 0n })
+
+/**
+ * Version 0 stored the next upload ID to fetch (inclusive), version 1 stores
+ * the last upload ID processed.
+ *
+ * @template {State} S
+ * @param {S} state
+ */
+export const fromInclusiveCursor = state => ({ ...state, currentID: state.currentID > 0n ? state.currentID - 1n : 0n })
+
+export const version = 1
+
+/** @type {import('./state.mjs').Migrations} */
+export const migrations = {
+  0: fromInclusiveCursor
+}
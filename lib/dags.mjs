@@ -0,0 +1,120 @@
+import fs from 'node:fs'
+import { openWriter, readItems } from './ndjson.mjs'
+
+export const MAX_BATCH_SIZE = 5000
+
+const FETCH_DAG_SIZES = 'SELECT cid_v1, size_actual FROM cargo.dags WHERE cid_v1 = ANY($1)'
+
+/**
+ * `total` is the sum of the sizes of `cids` in the order given, so a CID that
+ * appears twice is counted twice. `missing` lists the distinct CIDs that have
+ * no `cargo.dags` row, or a row with a NULL size, and contribute nothing to
+ * the total. `unsized` is the subset of `missing` that has a row with a NULL
+ * size.
+ *
+ * @typedef {{ total: number, sizes: Map<string, number>, missing: string[], unsized: Set<string> }} DagSizes
+ */
+
+/**
+ * @param {Pick<DagSizes, 'sizes'>} dagSizes
+ * @param {string[]} cids A subset of the CIDs the sizes were fetched for.
+ */
+export const sumSizes = ({ sizes }, cids) => {
+  let total = 0
+  for (const cid of cids) {
+    total += sizes.get(cid) ?? 0
+  }
+  return total
+}
+
+/**
+ * Look up the DAG size of each CID in `cids`. The CIDs are sent as a bound
+ * array parameter, at most `batchSize` distinct CIDs per query.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {string[]} cids
+ * @param {{ batchSize?: number }} [options]
+ * @returns {Promise<DagSizes>}
+ */
+export async function fetchDagSizes (db, cids, { batchSize = MAX_BATCH_SIZE } = {}) {
+  const distinct = [...new Set(cids)]
+  /** @type {Map<string, number>} */
+  const sizes = new Map()
+  /** @type {Set<string>} */
+  const unsized = new Set()
+  for (let i = 0; i < distinct.length; i += batchSize) {
+    const { rows } = await db.query(FETCH_DAG_SIZES, [distinct.slice(i, i + batchSize)])
+    for (const row of rows) {
+      if (row.size_actual == null) {
+        unsized.add(row.cid_v1)
+        continue
+      }
+      sizes.set(row.cid_v1, Number(row.size_actual))
+    }
+  }
+
+  const missing = distinct.filter(cid => !sizes.has(cid))
+  return { total: sumSizes({ sizes }, cids), sizes, missing, unsized }
+}
+
+/**
+ * @typedef {{ upload: string, content: string, reason: 'no-row'|'null-size' }} UnknownSize
+ */
+
+/**
+ * List the uploads whose content CID has no known size.
+ *
+ * @param {DagSizes} dagSizes
+ * @param {Array<{ id: string, content_cid: string }>} uploads
+ * @returns {UnknownSize[]}
+ */
+export const unknownSizes = ({ sizes, unsized }, uploads) => uploads
+  .filter(u => !sizes.has(u.content_cid))
+  .map(u => ({ upload: u.id, content: u.content_cid, reason: unsized.has(u.content_cid) ? 'null-size' : 'no-row' }))
+
+/**
+ * Open the NDJSON log of uploads with unknown sizes at `path`, each entry
+ * recording the period the upload is counted in. Entries are written as a
+ * batch is counted, before the walk checkpoints, so when resuming (`append`)
+ * the uploads an earlier run logged are skipped rather than logged again.
+ *
+ * @param {string} path
+ * @param {{ append: boolean }} options
+ */
+export const openUnknownLog = async (path, { append }) => {
+  /** @type {Set<string>} */
+  const logged = new Set()
+  if (append && fs.existsSync(path)) {
+    for await (const entry of readItems(path)) logged.add(/** @type {UnknownSize} */ (entry).upload)
+  }
+  const writer = openWriter(path, { append })
+  return {
+    /** @param {UnknownSize & { period: string }} entry */
+    write: async entry => {
+      if (!logged.has(entry.upload)) await writer.write(entry)
+    },
+    close: writer.close
+  }
+}
+
+const FETCH_AGGREGATED = 'SELECT DISTINCT cid_v1 FROM cargo.aggregate_entries WHERE cid_v1 = ANY($1)'
+
+/**
+ * The CIDs of `cids` that are in at least one Filecoin aggregate (have a
+ * `cargo.aggregate_entries` row).
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {string[]} cids
+ * @param {{ batchSize?: number }} [options]
+ * @returns {Promise<Set<string>>}
+ */
+export async function fetchAggregated (db, cids, { batchSize = MAX_BATCH_SIZE } = {}) {
+  const distinct = [...new Set(cids)]
+  /** @type {Set<string>} */
+  const aggregated = new Set()
+  for (let i = 0; i < distinct.length; i += batchSize) {
+    const { rows } = await db.query(FETCH_AGGREGATED, [distinct.slice(i, i + batchSize)])
+    for (const row of rows) aggregated.add(row.cid_v1)
+  }
+  return aggregated
+}
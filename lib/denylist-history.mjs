@@ -0,0 +1,54 @@
+import { readItems } from './ndjson.mjs'
+
+/**
+ * Changes to the merged denylist, one per anchor added or removed by a sync.
+ * Every change a sync makes has the same `date`, so the history can be read
+ * as a diff per run. Added anchors record the sources they came from and any
+ * KV `expiration` and `metadata`; removed ones record what they had.
+ *
+ * @typedef {import('./denylist-sources.mjs').MergedEntry} MergedEntry
+ * @typedef {'added'|'removed'} ChangeKind
+ * @typedef {{ date: string, change: ChangeKind } & Partial<MergedEntry> & { anchor: string }} Change
+ */
+
+/**
+ * Compare two denylists in sorted order, yielding every entry of `next` (with
+ * `change` set if `prev` does not have it) and every entry of `prev` that
+ * `next` does not have (with `change` set to `removed`).
+ *
+ * @param {AsyncIterable<{ anchor: string }>|Iterable<{ anchor: string }>} prev
+ * @param {AsyncIterable<MergedEntry>} next
+ * @returns {AsyncIterable<{ change?: ChangeKind, entry: Partial<MergedEntry> & { anchor: string } }>}
+ */
+export async function * diffSorted (prev, next) {
+  const p = Symbol.asyncIterator in prev ? prev[Symbol.asyncIterator]() : prev[Symbol.iterator]()
+  let old = await p.next()
+  for await (const entry of next) {
+    while (!old.done && old.value.anchor < entry.anchor) {
+      yield { change: 'removed', entry: old.value }
+      old = await p.next()
+    }
+    if (!old.done && old.value.anchor === entry.anchor) {
+      yield { entry }
+      old = await p.next()
+    } else {
+      yield { change: 'added', entry }
+    }
+  }
+  for (; !old.done; old = await p.next()) yield { change: 'removed', entry: old.value }
+}
+
+/**
+ * Changes in the history at `path` to any of `anchors`, oldest first.
+ *
+ * @param {string} path
+ * @param {Set<string>} anchors
+ */
+export async function readHistory (path, anchors) {
+  /** @type {Change[]} */
+  const changes = []
+  for await (const change of readItems(path)) {
+    if (anchors.has(/** @type {Change} */ (change).anchor)) changes.push(/** @type {Change} */ (change))
+  }
+  return changes
+}
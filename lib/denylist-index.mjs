@@ -0,0 +1,363 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createHash } from 'node:crypto'
+import { Readable } from 'node:stream'
+import { Parse } from 'ndjson-web'
+import { base58btc } from 'multiformats/bases/base58'
+import * as Digest from 'multiformats/hashes/digest'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { readRecords, mergeSorted } from './seen-set.mjs'
+import { writeAtomic } from './state.mjs'
+
+/**
+ * A denylist compiled from NDJSON (as written by `denylist sync`) into a file
+ * of its anchors as sorted 32 byte hashes, so millions of them can be looked
+ * up without holding them in memory.
+ *
+ * `<denylist>.idx` starts with a header recording the size and modification
+ * time of the NDJSON it was compiled from, and is compiled again whenever
+ * they change. A lookup reads one block of `INDEX_INTERVAL` hashes, found by
+ * binary searching a sparse in-memory index of every `INDEX_INTERVAL`th hash.
+ * In front of that, `<denylist>.bloom` holds a Bloom filter that rules out
+ * most anchors not on the list without reading the file at all.
+ *
+ * Lookups are synchronous, so an index can stand in for a `Set` of anchors.
+ *
+ * @typedef {{ size: number, fingerprint: string, has: (anchor: string) => boolean, [Symbol.iterator]: () => Iterator<string>, close: () => void }} DenyListIndex
+ */
+
+const MAGIC = 'DLIX'
+const BLOOM_MAGIC = 'DLBF'
+const FORMAT_VERSION = 2
+// magic, version, count, source size, source mtime, fingerprint
+const HEADER_SIZE = 4 + 4 + 8 + 8 + 8 + 32
+const BLOOM_HEADER_SIZE = 4 + 4 + 8 + 32
+const HASH_SIZE = 32
+const INDEX_INTERVAL = 256
+/** Anchors sorted in memory at a time when compiling. */
+const SORT_CHUNK = 1 << 20
+/** ~1% false positives. */
+const BLOOM_BITS_PER_ENTRY = 10
+const BLOOM_HASHES = 7
+
+const HEX_ANCHOR = /^[0-9a-f]{64}$/
+
+/**
+ * The hex anchor of a denylist entry: either the hex itself, or a badbits
+ * "double-hash" entry, `//` followed by the hex or by the base58btc encoded
+ * sha2-256 multihash of the same `<cid>/<path>`. Entries may also be objects
+ * with an `anchor` (and e.g. its metadata). Returns undefined for anything
+ * else.
+ *
+ * @param {unknown} entry
+ * @returns {string|undefined}
+ */
+export const parseAnchor = entry => {
+  if (entry && typeof entry === 'object' && 'anchor' in entry) return parseAnchor(entry.anchor)
+  if (typeof entry !== 'string') return
+  const value = entry.startsWith('//') ? entry.slice(2) : entry
+  const hex = value.toLowerCase()
+  if (HEX_ANCHOR.test(hex)) return hex
+  if (!entry.startsWith('//')) return
+  try {
+    const digest = Digest.decode(base58btc.baseDecode(value))
+    if (digest.code === sha256.code && digest.digest.length === HASH_SIZE) return Buffer.from(digest.digest).toString('hex')
+  } catch {}
+}
+
+/** @param {string} denylist */
+export const indexPaths = denylist => ({ index: `${denylist}.idx`, bloom: `${denylist}.bloom` })
+
+/**
+ * @param {Buffer} header
+ */
+const decodeHeader = header => ({
+  magic: header.toString('latin1', 0, 4),
+  version: header.readUInt32BE(4),
+  count: Number(header.readBigUInt64BE(8)),
+  sourceSize: Number(header.readBigUInt64BE(16)),
+  sourceMtime: header.readDoubleBE(24),
+  fingerprint: header.subarray(32, 64).toString('hex')
+})
+
+/**
+ * Bit positions for `hash` in a filter of `bits` bits. The hash is already
+ * uniformly distributed, so its words are used directly (double hashing).
+ *
+ * @param {Buffer} hash
+ * @param {number} bits
+ * @param {number} k
+ */
+const bloomPositions = (hash, bits, k) => {
+  const h1 = hash.readUInt32BE(0)
+  const h2 = (hash.readUInt32BE(4) | 1) >>> 0
+  const positions = []
+  for (let i = 0; i < k; i++) positions.push((h1 + i * h2) % bits)
+  return positions
+}
+
+/**
+ * @param {number} count
+ */
+const createBloom = count => {
+  const bits = Math.max(64, count * BLOOM_BITS_PER_ENTRY)
+  const filter = Buffer.alloc(Math.ceil(bits / 8))
+  return {
+    bits,
+    filter,
+    /** @param {Buffer} hash */
+    add (hash) {
+      for (const p of bloomPositions(hash, bits, BLOOM_HASHES)) filter[p >> 3] |= 1 << (p & 7)
+    }
+  }
+}
+
+/**
+ * @param {string} file
+ * @param {number} bits
+ * @param {Buffer} filter
+ * @param {string} fingerprint Of the index the filter is for.
+ */
+const writeBloom = async (file, bits, filter, fingerprint) => {
+  const header = Buffer.alloc(BLOOM_HEADER_SIZE)
+  header.write(BLOOM_MAGIC, 0, 'latin1')
+  header.writeUInt32BE(BLOOM_HASHES, 4)
+  header.writeDoubleBE(bits, 8)
+  Buffer.from(fingerprint, 'hex').copy(header, 16)
+  await writeAtomic(file, Buffer.concat([header, filter]))
+}
+
+/**
+ * Compile the NDJSON denylist at `source`. Entries that are not sha256
+ * anchors (see `parseAnchor`) can never match an upload, and are left out.
+ *
+ * @param {string} source
+ */
+export async function compileDenyList (source) {
+  const { index, bloom } = indexPaths(source)
+  const stat = await fs.promises.stat(source)
+  const tmp = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'denylist-'))
+  try {
+    // sort the anchors in chunks, then merge the sorted chunks
+    /** @type {string[]} */
+    const runs = []
+    /** @type {Buffer[]} */
+    let chunk = []
+    let parsed = 0
+    let skipped = 0
+    const writeRun = async () => {
+      const file = path.join(tmp, `run-${runs.length}.bin`)
+      await fs.promises.writeFile(file, Buffer.concat(chunk.sort(Buffer.compare)))
+      runs.push(file)
+      chunk = []
+    }
+    await /** @type {ReadableStream<Uint8Array>} */ (Readable.toWeb(fs.createReadStream(source)))
+      .pipeThrough(new Parse())
+      .pipeTo(new WritableStream({
+        async write (entry) {
+          const anchor = parseAnchor(entry)
+          if (!anchor) {
+            skipped++
+            return
+          }
+          chunk.push(Buffer.from(anchor, 'hex'))
+          parsed++
+          if (chunk.length === SORT_CHUNK) await writeRun()
+        }
+      }))
+    if (chunk.length) await writeRun()
+    if (skipped) console.warn(`⚠️ ${skipped.toLocaleString()} denylist entries are not sha256 anchors and were left out`)
+
+    // the header is written last, once the count and fingerprint are known
+    const partial = `${index}.${process.pid}.tmp`
+    const handle = await fs.promises.open(partial, 'w')
+    const filter = createBloom(parsed)
+    const hash = createHash('sha256')
+    let count = 0
+    try {
+      let offset = HEADER_SIZE
+      /** @param {Buffer[]} records */
+      const append = async records => {
+        const data = Buffer.concat(records)
+        await handle.write(data, 0, data.length, offset)
+        offset += data.length
+      }
+      /** @type {Buffer[]} */
+      let pending = []
+      /** @type {Buffer|undefined} */
+      let prev
+      for await (const record of mergeSorted(runs.map(r => readRecords(r, HASH_SIZE)), HASH_SIZE)) {
+        if (prev && prev.equals(record)) continue
+        prev = Buffer.from(record)
+        filter.add(prev)
+        hash.update(`${prev.toString('hex')}\n`)
+        pending.push(prev)
+        count++
+        if (pending.length === INDEX_INTERVAL * 16) {
+          await append(pending)
+          pending = []
+        }
+      }
+      if (pending.length) await append(pending)
+
+      const fingerprint = hash.digest()
+      const header = Buffer.alloc(HEADER_SIZE)
+      header.write(MAGIC, 0, 'latin1')
+      header.writeUInt32BE(FORMAT_VERSION, 4)
+      header.writeBigUInt64BE(BigInt(count), 8)
+      header.writeBigUInt64BE(BigInt(stat.size), 16)
+      header.writeDoubleBE(stat.mtimeMs, 24)
+      fingerprint.copy(header, 32)
+      await handle.write(header, 0, HEADER_SIZE, 0)
+      await handle.sync()
+      await handle.close()
+
+      // the filter names the index it belongs to, so it is written first
+      await writeBloom(bloom, filter.bits, filter.filter, fingerprint.toString('hex'))
+      await fs.promises.rename(partial, index)
+    } catch (err) {
+      await handle.close().catch(() => {})
+      await fs.promises.rm(partial, { force: true })
+      throw err
+    }
+    return count
+  } finally {
+    await fs.promises.rm(tmp, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Whether the index for `source` exists and was compiled from it as it is.
+ *
+ * @param {string} source
+ */
+const isCurrent = async source => {
+  const { index } = indexPaths(source)
+  const header = Buffer.alloc(HEADER_SIZE)
+  let handle
+  try {
+    handle = await fs.promises.open(index)
+    const { bytesRead } = await handle.read(header, 0, HEADER_SIZE, 0)
+    if (bytesRead < HEADER_SIZE) return false
+  } catch (err) {
+    if (err.code === 'ENOENT') return false
+    throw err
+  } finally {
+    await handle?.close()
+  }
+  const stat = await fs.promises.stat(source)
+  const h = decodeHeader(header)
+  return h.magic === MAGIC && h.version === FORMAT_VERSION && h.sourceSize === stat.size && h.sourceMtime === stat.mtimeMs
+}
+
+/**
+ * Open the index of the NDJSON denylist at `source`, compiling it first if it
+ * is missing or out of date.
+ *
+ * @param {string} source
+ * @param {{ bloom?: boolean }} [options] Whether to use the Bloom filter.
+ * @returns {Promise<DenyListIndex>}
+ */
+export async function openDenyListIndex (source, { bloom: useBloom = true } = {}) {
+  if (!await isCurrent(source)) await compileDenyList(source)
+  const paths = indexPaths(source)
+
+  const fd = fs.openSync(paths.index, 'r')
+  const header = Buffer.alloc(HEADER_SIZE)
+  fs.readSync(fd, header, 0, HEADER_SIZE, 0)
+  const { count, fingerprint } = decodeHeader(header)
+
+  /**
+   * @param {number} from Record number.
+   * @param {number} n
+   */
+  const read = (from, n) => {
+    const buf = Buffer.alloc(n * HASH_SIZE)
+    fs.readSync(fd, buf, 0, buf.length, HEADER_SIZE + from * HASH_SIZE)
+    return buf
+  }
+
+  // first hash of every block
+  const blocks = Math.ceil(count / INDEX_INTERVAL)
+  const sparse = Buffer.alloc(blocks * HASH_SIZE)
+  for (let b = 0; b < blocks; b++) read(b * INDEX_INTERVAL, 1).copy(sparse, b * HASH_SIZE)
+
+  /** @type {{ bits: number, k: number, filter: Buffer }|undefined} */
+  let filter
+  if (useBloom) {
+    const data = fs.existsSync(paths.bloom) ? fs.readFileSync(paths.bloom) : Buffer.alloc(0)
+    if (data.length >= BLOOM_HEADER_SIZE && data.toString('latin1', 0, 4) === BLOOM_MAGIC && data.subarray(16, 48).toString('hex') === fingerprint) {
+      filter = { k: data.readUInt32BE(4), bits: data.readDoubleBE(8), filter: data.subarray(BLOOM_HEADER_SIZE) }
+    } else {
+      console.warn(`⚠️ ignoring missing or stale Bloom filter: ${paths.bloom}`)
+    }
+  }
+
+  /** @param {Buffer} hash */
+  const mayContain = hash => !filter || bloomPositions(hash, filter.bits, filter.k).every(p => filter?.filter[p >> 3] & (1 << (p & 7)))
+
+  /** @param {Buffer} hash */
+  const contains = hash => {
+    // last block starting at or before `hash`
+    let lo = 0
+    let hi = blocks - 1
+    let block = -1
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1
+      if (Buffer.compare(sparse.subarray(mid * HASH_SIZE, (mid + 1) * HASH_SIZE), hash) <= 0) {
+        block = mid
+        lo = mid + 1
+      } else {
+        hi = mid - 1
+      }
+    }
+    if (block === -1) return false
+    const data = read(block * INDEX_INTERVAL, Math.min(INDEX_INTERVAL, count - block * INDEX_INTERVAL))
+    lo = 0
+    hi = data.length / HASH_SIZE - 1
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1
+      const c = Buffer.compare(data.subarray(mid * HASH_SIZE, (mid + 1) * HASH_SIZE), hash)
+      if (c === 0) return true
+      if (c < 0) lo = mid + 1
+      else hi = mid - 1
+    }
+    return false
+  }
+
+  return {
+    size: count,
+    fingerprint,
+
+    /** @param {string} anchor Hex encoded. */
+    has (anchor) {
+      if (!HEX_ANCHOR.test(anchor)) return false
+      const hash = Buffer.from(anchor, 'hex')
+      return mayContain(hash) && contains(hash)
+    },
+
+    /** Anchors in sorted order. */
+    * [Symbol.iterator] () {
+      for (let i = 0; i < count; i += INDEX_INTERVAL * 16) {
+        const data = read(i, Math.min(INDEX_INTERVAL * 16, count - i))
+        for (let j = 0; j < data.length; j += HASH_SIZE) yield data.toString('hex', j, j + HASH_SIZE)
+      }
+    },
+
+    close () {
+      fs.closeSync(fd)
+    }
+  }
+}
+
+/**
+ * Remove the index files of the denylist at `source`.
+ *
+ * @param {string} source
+ */
+export async function removeDenyListIndex (source) {
+  const { index, bloom } = indexPaths(source)
+  await fs.promises.rm(index, { force: true })
+  await fs.promises.rm(bloom, { force: true })
+}
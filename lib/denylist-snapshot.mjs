@@ -0,0 +1,45 @@
+import fs from 'node:fs'
+import { readDenyList, writeDenyList, fingerprint, MATCHER_VERSION } from './denylist.mjs'
+import { denyListSnapshotPath } from './monthly-state.mjs'
+
+/**
+ * Check `denylist` (and the rules it is matched by) are the ones the
+ * `adjusted` totals in `state` were computed with, so the totals are not
+ * computed with a mix of denylists. State that does not record a denylist yet
+ * adopts this one.
+ *
+ * @param {string} statePath
+ * @param {import('./monthly-state.mjs').State} state
+ * @param {import('./denylist.mjs').DenyList} denylist
+ */
+export async function useDenyList (statePath, state, denylist) {
+  const version = { fingerprint: fingerprint(denylist), size: denylist.size, matcher: MATCHER_VERSION }
+  if (state.denylist && state.denylist.fingerprint !== version.fingerprint) {
+    throw new Error(`denylist changed since the state was written (${state.denylist.size} -> ${version.size} entries), run "nftstorage-tools count recompute" first`)
+  }
+  if (state.denylist && (state.denylist.matcher ?? 1) !== version.matcher) {
+    throw new Error(`denylist matching changed since the state was written (version ${state.denylist.matcher ?? 1} -> ${version.matcher}), run "nftstorage-tools count recompute" first`)
+  }
+  if (!state.denylist && state.currentID > 0n) {
+    console.warn('⚠️ state does not record the denylist it was counted with, assuming the current one')
+  }
+  state.denylist = version
+  const snapshotPath = denyListSnapshotPath(statePath, version.fingerprint)
+  if (!fs.existsSync(snapshotPath)) {
+    await writeDenyList(snapshotPath, denylist)
+  }
+}
+
+/**
+ * Read the copy of the denylist the `adjusted` totals in `state` were computed
+ * with.
+ *
+ * @param {string} statePath
+ * @param {import('./monthly-state.mjs').State} state
+ */
+export async function readSnapshot (statePath, state) {
+  if (!state.denylist) throw new Error('state does not record the denylist it was counted with')
+  const snapshotPath = denyListSnapshotPath(statePath, state.denylist.fingerprint)
+  if (!fs.existsSync(snapshotPath)) throw new Error(`missing denylist snapshot: ${snapshotPath}`)
+  return await readDenyList(snapshotPath)
+}
@@ -0,0 +1,291 @@
+import fs from 'node:fs'
+import readline from 'node:readline'
+import { Readable } from 'node:stream'
+import retry from 'p-retry'
+import { anchor, normalizeCID } from './denylist.mjs'
+import { parseAnchor } from './denylist-index.mjs'
+import { listKeys } from './kv.mjs'
+
+/**
+ * Where denylist entries are ingested from:
+ *
+ * - `kv`: the keys of the Cloudflare KV denylist namespace (see `denyListKV`
+ *   in `../utils.mjs`), which are anchors already
+ * - `badbits`: a badbits `deny.txt`, one `//<hex anchor>` per line
+ * - `deny`: a compact denylist (`.deny`), an optional header ending in `---`
+ *   followed by one rule per line
+ *
+ * `badbits` and `deny` sources are read from a local path or an HTTP(S) URL.
+ * Every entry is converted to a hex anchor (see `./denylist.mjs`), so sources
+ * can be merged into one list. KV entries also carry the key's `expiration`
+ * (seconds since the epoch) and `metadata` (e.g. the reason it was added).
+ *
+ * @typedef {'kv'|'badbits'|'deny'} SourceKind
+ * @typedef {{ name: string, kind: SourceKind, location?: string }} Source
+ * @typedef {{ anchor: string, expiration?: number, metadata?: any }} Entry
+ * @typedef {Entry & { sources: string[] }} MergedEntry
+ * @typedef {{ entries: Entry[], skipped: Record<string, number>, cursor?: string }} Batch
+ */
+
+/** @type {SourceKind[]} */
+export const SOURCE_KINDS = ['kv', 'badbits', 'deny']
+
+const BATCH_SIZE = 10000
+/** Header lines looked for before a compact denylist is taken to have none. */
+const MAX_HEADER_LINES = 100
+
+/**
+ * Sources as `[<name>=]<kind>[:<location>]`, comma separated, e.g.
+ * `kv,badbits:https://badbits.dwebops.pub/deny.txt,mine=deny:./my.deny`. A
+ * source is named by its kind unless named explicitly.
+ *
+ * @param {string} value
+ * @returns {Source[]}
+ */
+export const parseSources = value => {
+  const sources = value.split(',').map(s => s.trim()).filter(Boolean).map(spec => {
+    const colon = spec.indexOf(':')
+    const eq = spec.indexOf('=')
+    const named = eq > 0 && (colon === -1 || eq < colon)
+    const rest = named ? spec.slice(eq + 1) : spec
+    const sep = rest.indexOf(':')
+    const kind = /** @type {SourceKind} */ (sep === -1 ? rest : rest.slice(0, sep))
+    const location = sep === -1 ? undefined : rest.slice(sep + 1)
+    if (!SOURCE_KINDS.includes(kind)) throw new Error(`invalid source kind: ${kind} (expected one of ${SOURCE_KINDS.join(', ')})`)
+    if (kind === 'kv' && location) throw new Error(`invalid source: ${spec} (kv takes no location)`)
+    if (kind !== 'kv' && !location) throw new Error(`invalid source: ${spec} (${kind} needs a path or URL)`)
+    const name = named ? spec.slice(0, eq) : kind
+    if (!/^[\w.-]+$/.test(name)) throw new Error(`invalid source name: ${name}`)
+    return { name, kind, location }
+  })
+  if (!sources.length) throw new Error('no denylist sources')
+  const names = sources.map(s => s.name)
+  const dup = names.find((n, i) => names.indexOf(n) !== i)
+  if (dup) throw new Error(`duplicate source name: ${dup} (name them, e.g. other=${sources.find(s => s.name === dup)?.kind}:...)`)
+  return sources
+}
+
+/** @param {Source} source */
+export const formatSource = source => `${source.name} (${source.kind}${source.location ? ` ${source.location}` : ''})`
+
+/**
+ * Pages of keys in the Cloudflare KV denylist namespace, starting after
+ * `cursor`. Each batch carries the cursor to resume after it, none once the
+ * last page has been read. KV lists keys in sorted order.
+ *
+ * @param {import('./kv.mjs').KVConfig} config
+ * @param {string} [cursor]
+ * @returns {AsyncIterable<Batch>}
+ */
+export async function * readKV (config, cursor = '') {
+  while (true) {
+    const page = await listKeys(config, cursor)
+    cursor = page.cursor
+    /** @type {Batch} */
+    const batch = { entries: [], skipped: {}, cursor: cursor || undefined }
+    for (const { name, expiration, metadata } of page.keys) {
+      const anchor = parseAnchor(name)
+      if (!anchor) {
+        batch.skipped['not an anchor'] = (batch.skipped['not an anchor'] ?? 0) + 1
+        continue
+      }
+      batch.entries.push({ anchor, ...(expiration ? { expiration } : {}), ...(metadata != null ? { metadata } : {}) })
+    }
+    yield batch
+    if (!cursor) return
+  }
+}
+
+/**
+ * Lines of the file or HTTP(S) URL at `location`.
+ *
+ * @param {string} location
+ */
+const readLines = async location => {
+  /** @type {import('node:stream').Readable} */
+  let stream
+  if (/^https?:\/\//.test(location)) {
+    const res = await retry(async () => {
+      const res = await fetch(location)
+      if (!res.ok) throw new Error(`failed to fetch ${location}: ${res.status}`)
+      return res
+    }, { onFailedAttempt: console.error })
+    if (!res.body) throw new Error(`empty response from ${location}`)
+    stream = Readable.fromWeb(/** @type {import('node:stream/web').ReadableStream} */ (res.body))
+  } else {
+    stream = fs.createReadStream(location)
+  }
+  return readline.createInterface({ input: stream, crlfDelay: Infinity })
+}
+
+/**
+ * Read `lines` in batches of the anchors `parse` makes of them. `parse`
+ * returns a reason for lines that have no anchor, or undefined for lines to
+ * ignore (e.g. comments).
+ *
+ * @param {AsyncIterable<string>} lines
+ * @param {(line: string) => { anchor: string }|{ skip: string }|undefined} parse
+ * @returns {AsyncIterable<Batch>}
+ */
+async function * batches (lines, parse) {
+  /** @type {Batch} */
+  let batch = { entries: [], skipped: {} }
+  for await (const line of lines) {
+    const entry = parse(line)
+    if (!entry) continue
+    if ('anchor' in entry) {
+      batch.entries.push(entry)
+    } else {
+      batch.skipped[entry.skip] = (batch.skipped[entry.skip] ?? 0) + 1
+    }
+    if (batch.entries.length === BATCH_SIZE) {
+      yield batch
+      batch = { entries: [], skipped: {} }
+    }
+  }
+  yield batch
+}
+
+/**
+ * A line of a badbits `deny.txt`.
+ *
+ * @param {string} line
+ */
+export const parseBadbitsLine = line => {
+  const entry = line.trim()
+  if (!entry || entry.startsWith('#')) return
+  const a = parseAnchor(entry)
+  return a ? { anchor: a } : { skip: 'not an anchor' }
+}
+
+/**
+ * A rule of a compact denylist. Hashed (`//`) rules, `/ipfs/<cid>[/<path>]`,
+ * `/ipld/<cid>` and bare CIDs are anchors. Allow (`!`) rules, `/ipns/` names
+ * and wildcard paths cannot be, and are skipped.
+ *
+ * @param {string} line
+ */
+export const parseCompactRule = line => {
+  const trimmed = line.trim()
+  if (!trimmed || trimmed.startsWith('#')) return
+  // hints follow the rule, separated by whitespace
+  const [rule] = trimmed.split(/\s+/)
+  if (rule.startsWith('!')) return { skip: 'allow rule' }
+  if (rule.startsWith('//')) {
+    const a = parseAnchor(rule)
+    return a ? { anchor: a } : { skip: 'unsupported hash' }
+  }
+  if (rule.startsWith('/ipns/')) return { skip: 'IPNS name' }
+  if (rule.includes('*')) return { skip: 'wildcard path' }
+  const match = rule.match(/^(?:\/(ipfs|ipld)\/)?([^/]+)(?:\/(.*))?$/)
+  if (!match) return { skip: 'unsupported rule' }
+  const [, ns, cid, path = ''] = match
+  if (!ns && path) return { skip: 'unsupported rule' }
+  const v1 = normalizeCID(cid)
+  if (!v1) return { skip: 'invalid CID' }
+  return { anchor: anchor(v1, ns === 'ipld' ? '' : path.replace(/\/+$/, '')) }
+}
+
+/**
+ * Entries of a compact denylist, after its header if it has one. The header's
+ * `key: value` pairs are passed to `onHeader`.
+ *
+ * @param {AsyncIterable<string>} lines
+ * @param {(header: Record<string, string>) => void} onHeader
+ */
+async function * compactBody (lines, onHeader) {
+  /** @type {string[]} */
+  let head = []
+  let inBody = false
+  for await (const line of lines) {
+    if (inBody) {
+      yield line
+      continue
+    }
+    if (line.trim() === '---') {
+      onHeader(Object.fromEntries(head.map(l => l.match(/^([\w-]+):\s*(.*)$/)).filter(m => m !== null).map(m => [m[1], m[2]])))
+      head = []
+      inBody = true
+      continue
+    }
+    head.push(line)
+    if (head.length > MAX_HEADER_LINES) {
+      // no header, the lines read so far are rules
+      yield * head
+      head = []
+      inBody = true
+    }
+  }
+  yield * head
+}
+
+/**
+ * Batches of anchors from a `badbits` or `deny` source.
+ *
+ * @param {Source} source
+ * @param {{ onHeader?: (header: Record<string, string>) => void }} [options]
+ * @returns {AsyncIterable<Batch>}
+ */
+export async function * readFileSource (source, { onHeader = () => {} } = {}) {
+  const lines = await readLines(/** @type {string} */ (source.location))
+  try {
+    if (source.kind === 'badbits') {
+      yield * batches(lines, parseBadbitsLine)
+    } else if (source.kind === 'deny') {
+      yield * batches(compactBody(lines, onHeader), parseCompactRule)
+    } else {
+      throw new Error(`not a file source: ${source.kind}`)
+    }
+  } finally {
+    lines.close()
+  }
+}
+
+/**
+ * Merge denylists into one, recording which of them each anchor is on. Where
+ * more than one has an `expiration` or `metadata` for an anchor, the first
+ * list's wins.
+ *
+ * @param {Array<{ name: string, entries: AsyncIterable<Entry>|Iterable<Entry> }>} lists Each in sorted order.
+ * @returns {AsyncIterable<MergedEntry>}
+ */
+export async function * mergeSources (lists) {
+  const iters = lists.map(l => ({
+    name: l.name,
+    it: Symbol.asyncIterator in l.entries ? l.entries[Symbol.asyncIterator]() : l.entries[Symbol.iterator]()
+  }))
+  /** @param {number} i */
+  const advance = async i => {
+    const prev = heads[i]
+    let next = await iters[i].it.next()
+    // skip duplicates within a list
+    while (!next.done && !prev.done && next.value.anchor === prev.value.anchor) next = await iters[i].it.next()
+    if (!next.done && !prev.done && next.value.anchor < prev.value.anchor) {
+      throw new Error(`denylist ${iters[i].name} is not in sorted order at ${next.value.anchor}`)
+    }
+    heads[i] = next
+  }
+  /** @type {Array<IteratorResult<Entry>>} */
+  const heads = await Promise.all(iters.map(({ it }) => it.next()))
+  while (true) {
+    /** @type {string|undefined} */
+    let min
+    for (const head of heads) {
+      if (!head.done && (min === undefined || head.value.anchor < min)) min = head.value.anchor
+    }
+    if (min === undefined) return
+    /** @type {MergedEntry} */
+    const merged = { anchor: min, sources: [] }
+    for (let i = 0; i < heads.length; i++) {
+      const head = heads[i]
+      if (head.done || head.value.anchor !== min) continue
+      merged.sources.push(iters[i].name)
+      merged.expiration ??= head.value.expiration
+      merged.metadata ??= head.value.metadata
+      await advance(i)
+    }
+    if (merged.expiration === undefined) delete merged.expiration
+    if (merged.metadata === undefined) delete merged.metadata
+    yield merged
+  }
+}
@@ -1,30 +1,236 @@
 import fs from 'node:fs'
-import { Readable } from 'node:stream'
-import { Parse } from 'ndjson-web'
+import { createHash } from 'node:crypto'
+import { Readable, Writable } from 'node:stream'
+import { Parse, Stringify } from 'ndjson-web'
 import { sha256 } from 'multiformats/hashes/sha2'
+import { CID } from 'multiformats/cid'
+import { bases } from 'multiformats/basics'
+import { openDenyListIndex, removeDenyListIndex, parseAnchor } from './denylist-index.mjs'
 
-export async function readDenyList () {
+/**
+ * Hex encoded anchors, either a `Set` or a compiled index of them (see
+ * `./denylist-index.mjs`).
+ *
+ * @typedef {{ size: number, fingerprint?: string, has: (anchor: string) => boolean, [Symbol.iterator]: () => Iterator<string>, close?: () => void }} DenyList
+ */
+
+/**
+ * Open the NDJSON denylist written by `denylist sync`, via its compiled index.
+ * Pass `index: false` to read it into memory instead.
+ *
+ * @param {string} path
+ * @param {{ index?: boolean, bloom?: boolean }} [options]
+ * @returns {Promise<DenyList>}
+ */
+export async function readDenyList (path, { index = true, bloom = true } = {}) {
+  if (index) return await openDenyListIndex(path, { bloom })
   const list = new Set()
   const source = /** @type {ReadableStream<Uint8Array>} */
-    (Readable.toWeb(fs.createReadStream(`${import.meta.dirname}/../out/denylist.json`)))
+    (Readable.toWeb(fs.createReadStream(path)))
   await source
     .pipeThrough(new Parse())
     .pipeTo(new WritableStream({
-      write (anchor) {
-        list.add(anchor)
+      write (entry) {
+        const anchor = parseAnchor(entry)
+        if (anchor) list.add(anchor)
       }
     }))
   return list
 }
 
 /**
- * @param {Set<string>} denylist
+ * Remove the denylist at `path`, and its index.
+ *
+ * @param {string} path
+ */
+export async function removeDenyList (path) {
+  await fs.promises.rm(path, { force: true })
+  await removeDenyListIndex(path)
+}
+
+/**
+ * Write `denylist` as NDJSON, in the format read by `readDenyList`.
+ *
+ * @param {string} path
+ * @param {DenyList} denylist
+ */
+export async function writeDenyList (path, denylist) {
+  await ReadableStream.from(denylist)
+    .pipeThrough(new Stringify())
+    .pipeTo(Writable.toWeb(fs.createWriteStream(path)))
+}
+
+/**
+ * Identifies the contents of a denylist, regardless of the order the anchors
+ * were synced in. An index records its own, computed when it was compiled.
+ *
+ * @param {DenyList} denylist
+ */
+export function fingerprint (denylist) {
+  if (denylist.fingerprint) return denylist.fingerprint
+  const hash = createHash('sha256')
+  for (const anchor of [...denylist].sort()) {
+    hash.update(`${anchor}\n`)
+  }
+  return hash.digest('hex')
+}
+
+/**
+ * Anchors in `next` but not `prev` (added) and in `prev` but not `next`
+ * (removed).
+ *
+ * @param {DenyList} prev
+ * @param {DenyList} next
+ */
+export function diffDenyLists (prev, next) {
+  const added = new Set()
+  for (const a of next) if (!prev.has(a)) added.add(a)
+  const removed = new Set()
+  for (const a of prev) if (!next.has(a)) removed.add(a)
+  return { added, removed }
+}
+
+/**
+ * How an upload matched the denylist: by the anchor of its CID in one of its
+ * `form`s (as given, or converted to CIDv1 base32 or CIDv0), or of one of its
+ * files (`path`).
+ *
+ * @typedef {'given'|'v1'|'v0'} CIDForm
+ * @typedef {{ rule: 'cid'|'path', form: CIDForm, cid: string, path?: string, anchor: string }} Match
+ */
+
+/** Decodes a CID in any multibase encoding. */
+const anyBase = Object.values(bases).map(b => b.decoder).reduce((a, d) => a.or(d))
+
+/**
+ * The denylist anchor for `cid`, or for a `path` within it: the hex encoded
+ * sha256 of `<cid>/<path>`.
+ *
  * @param {string} cid
+ * @param {string} [path]
  */
-export function isDenyListed (denylist, cid) {
-  const hash = sha256.encode(Buffer.from(`${cid}/`))
+export function anchor (cid, path = '') {
+  const hash = sha256.encode(Buffer.from(`${cid}/${path}`))
   if (hash instanceof Promise) throw new Error('unexpected async sha256 hasher')
-  const exists = denylist.has(Buffer.from(hash).toString('hex'))
-  // if (exists) console.log(`\nfound on denylist: ${cid}, (${Buffer.from(hash).toString('hex')})`)
-  return exists
+  return Buffer.from(hash).toString('hex')
+}
+
+/**
+ * `cid` as CIDv1 in base32, the form anchors are usually made from, or
+ * undefined if it does not parse (in any multibase encoding).
+ *
+ * @param {string} cid
+ */
+export function normalizeCID (cid) {
+  try {
+    return CID.parse(cid, anyBase).toV1().toString()
+  } catch {}
+}
+
+/**
+ * A CID to denylist, or a path within one: `<cid>[/<path>]`, optionally
+ * prefixed with `/ipfs/`. The CID is normalized to CIDv1 base32.
+ *
+ * @param {string} value
+ * @returns {{ cid: string, path: string, anchor: string }}
+ */
+export function parseTarget (value) {
+  const [cid, ...rest] = value.trim().replace(/^\/ipfs\//, '').split('/')
+  const v1 = normalizeCID(cid)
+  if (!v1) throw new Error(`invalid CID: ${cid}`)
+  const path = rest.filter(Boolean).join('/')
+  return { cid: v1, path, anchor: anchor(v1, path) }
+}
+
+/**
+ * The forms of `cid` an anchor may have been made from: as given, CIDv1 in
+ * base32 and, where it has one, CIDv0. A CID that does not parse is only
+ * tried as given.
+ *
+ * @param {string} cid
+ * @returns {Array<[CIDForm, string]>}
+ */
+export function cidForms (cid) {
+  /** @type {Array<[CIDForm, string]>} */
+  const forms = [['given', cid]]
+  let parsed
+  try {
+    parsed = CID.parse(cid, anyBase)
+  } catch {
+    return forms
+  }
+  const v1 = parsed.toV1().toString()
+  if (v1 !== cid) forms.push(['v1', v1])
+  // only dag-pb sha2-256 CIDs have a v0 form
+  if (parsed.code === 0x70 && parsed.multihash.code === sha256.code) {
+    const v0 = parsed.toV0().toString()
+    if (v0 !== cid) forms.push(['v0', v0])
+  }
+  return forms
+}
+
+/**
+ * The first anchor on `denylist` that matches `cid`, trying the CID itself
+ * before any of the `paths` within it (e.g. an upload's `files`).
+ *
+ * @param {DenyList} denylist
+ * @param {string} cid
+ * @param {{ paths?: string[] }} [options]
+ * @returns {Match|undefined}
+ */
+export function matchDenyList (denylist, cid, { paths = [] } = {}) {
+  const forms = cidForms(cid)
+  for (const [form, c] of forms) {
+    const a = anchor(c)
+    if (denylist.has(a)) return { rule: 'cid', form, cid: c, anchor: a }
+  }
+  for (const path of paths) {
+    const p = path.replace(/^\/+/, '')
+    if (!p) continue
+    for (const [form, c] of forms) {
+      const a = anchor(c, p)
+      if (denylist.has(a)) return { rule: 'path', form, cid: c, path: p, anchor: a }
+    }
+  }
+}
+
+/**
+ * Whether `cid` itself is on `denylist`, in any of its forms.
+ *
+ * @param {DenyList} denylist
+ * @param {string} cid
+ */
+export function isDenyListed (denylist, cid) {
+  return Boolean(matchDenyList(denylist, cid))
+}
+
+/**
+ * Version of the rules uploads are matched by. 1 matched the anchor of the
+ * source CID as given. 2 also matches its other forms, and the upload's files
+ * (`matchUpload`). Totals counted with one version disagree with the other,
+ * so state records the version it was counted with.
+ */
+export const MATCHER_VERSION = 2
+
+/**
+ * Whether `cid` is on `denylist` (`match` for how), or any of the upload's
+ * `files` are.
+ *
+ * @param {DenyList} denylist
+ * @param {{ source_cid: string, files?: Array<{ name: string }>|null }} upload
+ */
+export function matchUpload (denylist, upload) {
+  return matchDenyList(denylist, upload.source_cid, { paths: (upload.files ?? []).map(f => f.name) })
+}
+
+/**
+ * Whether the upload is on `denylist` by the rules of matcher `version` (see
+ * `MATCHER_VERSION`).
+ *
+ * @param {DenyList} denylist
+ * @param {{ source_cid: string, files?: Array<{ name: string }>|null }} upload
+ * @param {number} version
+ */
+export function isUploadDenyListed (denylist, upload, version) {
+  return version < 2 ? denylist.has(anchor(upload.source_cid)) : Boolean(matchUpload(denylist, upload))
 }
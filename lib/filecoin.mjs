@@ -0,0 +1,36 @@
+import { gauge } from './metrics.mjs'
+
+/**
+ * Bytes stored on Filecoin per period, from the stored bytes gauge in
+ * `cargo.metrics_log` (see `./metrics.mjs` for how periods are measured, and
+ * what their quality flags mean). New data in a period is its snapshot less
+ * the one before.
+ *
+ * @typedef {import('./metrics.mjs').Metric} Metric
+ * @typedef {import('./metrics.mjs').SnapshotMode} SnapshotMode
+ * @typedef {import('./metrics.mjs').Quality} Quality
+ * @typedef {import('./metrics.mjs').Drop} Drop
+ * @typedef {{ stored?: number, new?: number, samples: number, quality: Quality[] }} Period
+ * @typedef {{ bucketing: import('./buckets.mjs').Bucketing, snapshot: SnapshotMode, periods: Record<string, Period> }} FilecoinTotals
+ */
+
+export const METRIC = 'dagcargo_project_stored_bytes_active'
+
+/** @type {import('./metrics.mjs').DimensionFilter} */
+export const DIMENSIONS = [['project', 'nft.storage']]
+
+/**
+ * @param {Metric[]} metrics Samples in time order.
+ * @param {import('./buckets.mjs').Bucketing} bucketing
+ * @param {{ snapshot?: SnapshotMode, interpolate?: boolean, now?: Date }} [options]
+ * @returns {{ totals: FilecoinTotals, drops: Drop[] }}
+ */
+export const snapshots = (metrics, bucketing, options = {}) => {
+  const { periods, drops } = gauge(metrics, bucketing, options)
+  /** @type {Record<string, Period>} */
+  const stored = {}
+  for (const [key, { value, change, samples, quality }] of Object.entries(periods)) {
+    stored[key] = { stored: value, new: change, samples, quality }
+  }
+  return { totals: { bucketing, snapshot: options.snapshot ?? 'end', periods: stored }, drops }
+}
@@ -0,0 +1,123 @@
+/**
+ * Trends fitted to a series of running totals, by least squares over the
+ * period index: `linear` (a constant amount per period) or `exponential` (a
+ * constant rate, fitted to the logarithm of the totals). Projections come
+ * with a prediction interval, from the scatter of the totals around the fit.
+ *
+ * @typedef {'linear'|'exponential'} Model
+ * @typedef {{ model: Model, intercept: number, slope: number, se: number, n: number, meanX: number, sxx: number, r2: number }} Fit
+ * @typedef {{ value: number, lower: number, upper: number }} Projection
+ */
+
+/** @type {Model[]} */
+export const MODELS = ['linear', 'exponential']
+
+/** Two sided standard normal quantiles for the confidence levels offered. */
+const Z = /** @type {Record<string, number>} */ ({ 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 })
+
+export const CONFIDENCE_LEVELS = Object.keys(Z).map(Number)
+
+/** @param {string} value Comma separated model names. */
+export const parseModels = value => {
+  const models = value.split(',').map(m => m.trim()).filter(Boolean)
+  for (const m of models) {
+    if (!MODELS.includes(/** @type {Model} */ (m))) throw new Error(`invalid model: ${m} (expected one of ${MODELS.join(', ')})`)
+  }
+  return /** @type {Model[]} */ (models)
+}
+
+/** @param {string} value */
+export const parseConfidence = value => {
+  if (!(value in Z)) throw new Error(`invalid confidence: ${value} (expected one of ${CONFIDENCE_LEVELS.join(', ')})`)
+  return Number(value)
+}
+
+/**
+ * Two sided Student's t quantiles for 1 to 10 degrees of freedom, where the
+ * expansion below is too far out (at 1 it gives 9.7 for 0.95, not 12.71).
+ */
+const T = /** @type {Record<string, number[]>} */ ({
+  0.8: [3.078, 1.886, 1.638, 1.533, 1.476, 1.440, 1.415, 1.397, 1.383, 1.372],
+  0.9: [6.314, 2.920, 2.353, 2.132, 2.015, 1.943, 1.895, 1.860, 1.833, 1.812],
+  0.95: [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228],
+  0.99: [63.657, 9.925, 5.841, 4.604, 4.032, 3.707, 3.499, 3.355, 3.250, 3.169]
+})
+
+/**
+ * Student's t quantile with `df` degrees of freedom: from the table for few
+ * points, otherwise from the normal one by the Cornish-Fisher expansion.
+ *
+ * @param {number} confidence
+ * @param {number} df
+ */
+const tQuantile = (confidence, df) => {
+  if (df <= T[confidence].length) return T[confidence][df - 1]
+  const z = Z[confidence]
+  return z +
+    (z ** 3 + z) / (4 * df) +
+    (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2) +
+    (3 * z ** 7 + 19 * z ** 5 + 17 * z ** 3 - 15 * z) / (384 * df ** 3)
+}
+
+/**
+ * Fit `model` to `values`, the totals at period index 0, 1, ... (undefined
+ * where unknown). Returns undefined if there are too few points (3, or 3
+ * positive ones for an exponential fit).
+ *
+ * @param {Model} model
+ * @param {Array<number|undefined>} values
+ * @returns {Fit|undefined}
+ */
+export const fit = (model, values) => {
+  const points = values
+    .map((v, x) => ({ x, y: v == null ? NaN : model === 'exponential' ? Math.log(v) : v }))
+    .filter(p => Number.isFinite(p.y))
+  const n = points.length
+  if (n < 3) return
+
+  const meanX = points.reduce((s, p) => s + p.x, 0) / n
+  const meanY = points.reduce((s, p) => s + p.y, 0) / n
+  const sxx = points.reduce((s, p) => s + (p.x - meanX) ** 2, 0)
+  const sxy = points.reduce((s, p) => s + (p.x - meanX) * (p.y - meanY), 0)
+  const syy = points.reduce((s, p) => s + (p.y - meanY) ** 2, 0)
+  const slope = sxy / sxx
+  const intercept = meanY - slope * meanX
+  const sse = points.reduce((s, p) => s + (p.y - intercept - slope * p.x) ** 2, 0)
+  return {
+    model,
+    intercept,
+    slope,
+    se: Math.sqrt(sse / (n - 2)),
+    n,
+    meanX,
+    sxx,
+    r2: syy ? 1 - sse / syy : 1
+  }
+}
+
+/**
+ * The total the fit predicts at period index `x`.
+ *
+ * @param {Fit} f
+ * @param {number} x
+ * @param {number} confidence
+ * @returns {Projection}
+ */
+export const project = (f, x, confidence) => {
+  const y = f.intercept + f.slope * x
+  const margin = tQuantile(confidence, f.n - 2) * f.se * Math.sqrt(1 + 1 / f.n + (x - f.meanX) ** 2 / f.sxx)
+  if (f.model === 'exponential') {
+    return { value: Math.exp(y), lower: Math.exp(y - margin), upper: Math.exp(y + margin) }
+  }
+  return { value: y, lower: y - margin, upper: y + margin }
+}
+
+/**
+ * Growth per period the fit describes, e.g. "1.2 TiB" or "3.4%".
+ *
+ * @param {Fit} f
+ * @param {(value: number) => string} format
+ */
+export const describeGrowth = (f, format) => f.model === 'exponential'
+  ? `${((Math.exp(f.slope) - 1) * 100).toFixed(2)}%`
+  : format(f.slope)
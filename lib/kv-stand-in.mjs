@@ -0,0 +1,77 @@
+import http from 'node:http'
+
+/**
+ * A local stand-in for the parts of the Cloudflare KV API the tools use
+ * (listing keys, bulk writes), holding any number of namespaces in memory.
+ * Point `CF_API_URL` at it to sync from or publish to it instead of
+ * Cloudflare. Requests must carry `token` as their bearer token.
+ * `test/publish-denylist.test.mjs` publishes and syncs through it.
+ *
+ * @typedef {{ value: string, expiration?: number, metadata?: any }} Value
+ */
+
+/** Keys listed per page, as by Cloudflare. */
+const PAGE_SIZE = 1000
+
+/**
+ * @param {{ token: string }} options
+ */
+export const createKVStandIn = ({ token }) => {
+  /** @type {Map<string, Map<string, Value>>} */
+  const namespaces = new Map()
+  /** @param {string} id */
+  const namespace = id => {
+    let keys = namespaces.get(id)
+    if (!keys) namespaces.set(id, keys = new Map())
+    return keys
+  }
+
+  /**
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {any} body
+   */
+  const reply = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url ?? '/', 'http://localhost')
+    const match = url.pathname.match(/^\/accounts\/[^/]+\/storage\/kv\/namespaces\/([^/]+)\/(keys|bulk)$/)
+    if (!match) return reply(res, 404, { success: false, errors: [{ message: 'not found' }] })
+    if (req.headers.authorization?.toLowerCase() !== `bearer ${token}`) {
+      return reply(res, 403, { success: false, errors: [{ message: 'invalid token' }] })
+    }
+    const keys = namespace(match[1])
+
+    if (match[2] === 'keys' && req.method === 'GET') {
+      const sorted = [...keys.keys()].sort()
+      const from = Number(url.searchParams.get('cursor') || 0)
+      const page = sorted.slice(from, from + PAGE_SIZE).map(name => {
+        const { expiration, metadata } = /** @type {Value} */ (keys.get(name))
+        return { name, ...(expiration ? { expiration } : {}), ...(metadata != null ? { metadata } : {}) }
+      })
+      const next = from + PAGE_SIZE < sorted.length ? String(from + PAGE_SIZE) : ''
+      return reply(res, 200, { success: true, result: page, result_info: { count: page.length, cursor: next } })
+    }
+
+    if (match[2] === 'bulk' && req.method === 'PUT') {
+      let body = ''
+      for await (const chunk of req) body += chunk
+      let pairs
+      try {
+        pairs = JSON.parse(body)
+        if (!Array.isArray(pairs)) throw new Error('expected an array')
+      } catch (err) {
+        return reply(res, 400, { success: false, errors: [{ message: err.message }] })
+      }
+      for (const { key, value, expiration, metadata } of pairs) keys.set(key, { value, expiration, metadata })
+      return reply(res, 200, { success: true, result: null, errors: [] })
+    }
+
+    reply(res, 405, { success: false, errors: [{ message: 'method not allowed' }] })
+  })
+
+  return { server, namespaces }
+}
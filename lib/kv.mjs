@@ -0,0 +1,76 @@
+import retry, { AbortError } from 'p-retry'
+
+/**
+ * A Cloudflare KV namespace, and the API to reach it by.
+ *
+ * @typedef {{ apiURL: string, accountID: string, namespaceID: string, apiToken: string }} KVConfig
+ * @typedef {{ name: string, expiration?: number, metadata?: any }} Key
+ * @typedef {{ key: string, value: string, expiration?: number, metadata?: any }} Pair
+ */
+
+/** Most pairs the bulk write API takes per request. */
+export const BULK_LIMIT = 10000
+
+/**
+ * @param {KVConfig} config
+ * @param {string} path
+ */
+const namespaceURL = (config, path) => new URL(`${config.apiURL.replace(/\/+$/, '')}/accounts/${config.accountID}/storage/kv/namespaces/${config.namespaceID}/${path}`)
+
+/**
+ * Call the API, retrying failures other than client errors (e.g. a bad
+ * token), which would only fail again. Responses that are not a success are
+ * failures.
+ *
+ * @param {KVConfig} config
+ * @param {URL} url
+ * @param {RequestInit} [init]
+ */
+const request = (config, url, init = {}) => retry(async () => {
+  const res = await fetch(url.toString(), {
+    ...init,
+    headers: {
+      Authorization: `bearer ${config.apiToken}`,
+      'Content-Type': 'application/json'
+    }
+  })
+  if (!res.ok) {
+    const err = new Error(`${init.method ?? 'GET'} ${url.pathname} failed: ${res.status}`)
+    throw res.status >= 400 && res.status < 500 && res.status !== 429 ? new AbortError(err) : err
+  }
+  const body = await res.json()
+  if (body.success === false) throw new Error(`${init.method ?? 'GET'} ${url.pathname} failed: ${JSON.stringify(body.errors)}`)
+  return body
+}, { onFailedAttempt: console.error })
+
+/**
+ * A page of keys in the namespace, after `cursor`. KV lists keys in sorted
+ * order. The cursor of the next page is empty after the last.
+ *
+ * @param {KVConfig} config
+ * @param {string} cursor
+ * @returns {Promise<{ keys: Key[], cursor: string }>}
+ */
+export const listKeys = async (config, cursor) => {
+  const url = namespaceURL(config, 'keys')
+  url.searchParams.set('cursor', cursor)
+  const page = await request(config, url)
+  return { keys: page.result, cursor: page.result_info.cursor ?? '' }
+}
+
+/**
+ * Write `pairs` to the namespace, `BULK_LIMIT` at a time. `onWritten` is
+ * called with the pairs written by each request.
+ *
+ * @param {KVConfig} config
+ * @param {Pair[]} pairs
+ * @param {{ onWritten?: (pairs: Pair[]) => Promise<void>|void }} [options]
+ */
+export const bulkWrite = async (config, pairs, { onWritten = () => {} } = {}) => {
+  const url = namespaceURL(config, 'bulk')
+  for (let i = 0; i < pairs.length; i += BULK_LIMIT) {
+    const chunk = pairs.slice(i, i + BULK_LIMIT)
+    await request(config, url, { method: 'PUT', body: JSON.stringify(chunk) })
+    await onWritten(chunk)
+  }
+}
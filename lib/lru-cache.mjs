@@ -0,0 +1,59 @@
+/**
+ * A cache holding at most `max` entries, evicting the least recently used.
+ * It can be stored as a state file (see `./state.mjs`), as the `encode`,
+ * `decode` and `version` here are a state codec, so a later run starts warm.
+ *
+ * @template V
+ * @typedef {{
+ *   max: number
+ *   size: number
+ *   get: (key: string) => V|undefined
+ *   set: (key: string, value: V) => void
+ *   entries: () => IterableIterator<[string, V]>
+ * }} LRUCache
+ */
+
+/**
+ * @template V
+ * @param {number} max
+ * @param {Iterable<[string, V]>} [entries] Least recently used first.
+ * @returns {LRUCache<V>}
+ */
+export const createLRUCache = (max, entries = []) => {
+  if (!Number.isInteger(max) || max < 1) throw new Error(`invalid cache size: ${max}`)
+  /** @type {Map<string, V>} */
+  const map = new Map()
+  /**
+   * @param {string} key
+   * @param {V} value
+   */
+  const set = (key, value) => {
+    map.delete(key)
+    map.set(key, value)
+    // a Map iterates in insertion order, so its first key is the least recently used
+    if (map.size > max) map.delete(/** @type {string} */ (map.keys().next().value))
+  }
+  for (const [key, value] of entries) set(key, value)
+  return {
+    max,
+    get size () { return map.size },
+    get: key => {
+      const value = map.get(key)
+      if (value !== undefined) {
+        map.delete(key)
+        map.set(key, value)
+      }
+      return value
+    },
+    set,
+    entries: () => map.entries()
+  }
+}
+
+export const version = 1
+
+/** @param {Uint8Array} data */
+export const decode = data => /** @type {Array<[string, any]>} */ (JSON.parse(Buffer.from(data).toString()))
+
+/** @param {LRUCache<any>} cache */
+export const encode = cache => JSON.stringify([...cache.entries()])
@@ -0,0 +1,237 @@
+import { bucketKey, addPeriods } from './buckets.mjs'
+
+/**
+ * Samples from `cargo.metrics_log`, aggregated per period.
+ *
+ * A metric's `dimensions` are a Postgres text array of alternating keys and
+ * values, e.g. `{project,nft.storage}`. A filter (`[key, value]` pairs)
+ * matches the samples whose dimensions contain all of its keys and values.
+ *
+ * A `gauge` (e.g. bytes stored, queue depth) is measured per period by a
+ * snapshot: its last sample in the period (`end`) or its largest (`max`).
+ * Periods without samples between the first and last are gaps, left empty or
+ * filled in by linear interpolation. A drop from one sample to the next is
+ * flagged, as it may be a reset rather than a real decrease.
+ *
+ * A `counter` (e.g. deals made) is measured per period by how much it
+ * increased, taking any drop to be a reset to zero. The increase over a gap
+ * is counted in the period after it.
+ *
+ * Every period carries quality flags, none if its value can be trusted:
+ *
+ * - `missing`: no samples, and not interpolated
+ * - `interpolated`: no samples, value interpolated from its neighbours
+ * - `drop`: a sample was lower than the one before, e.g. the counter reset
+ * - `partial`: the period is not over yet
+ *
+ * @typedef {{ value: string, collected_at: string|Date, dimensions?: string[]|string[][] }} Metric
+ * @typedef {'gauge'|'counter'} MetricKind
+ * @typedef {'end'|'max'} SnapshotMode
+ * @typedef {'missing'|'interpolated'|'drop'|'partial'} Quality
+ * @typedef {Array<[string, string]>} DimensionFilter
+ * @typedef {{ value?: number, change?: number, samples: number, quality: Quality[] }} Period
+ * @typedef {{ from: Metric, to: Metric, period: string }} Drop
+ * @typedef {{ periods: Record<string, Period>, drops: Drop[] }} Aggregate
+ */
+
+/** @type {MetricKind[]} */
+export const METRIC_KINDS = ['gauge', 'counter']
+
+/** @type {SnapshotMode[]} */
+export const SNAPSHOT_MODES = ['end', 'max']
+
+/**
+ * @param {string} value
+ * @returns {MetricKind}
+ */
+export const parseMetricKind = value => {
+  if (!METRIC_KINDS.includes(/** @type {MetricKind} */ (value))) throw new Error(`invalid kind: ${value} (expected one of ${METRIC_KINDS.join(', ')})`)
+  return /** @type {MetricKind} */ (value)
+}
+
+/**
+ * @param {string} value
+ * @returns {SnapshotMode}
+ */
+export const parseSnapshotMode = value => {
+  if (!SNAPSHOT_MODES.includes(/** @type {SnapshotMode} */ (value))) throw new Error(`invalid snapshot: ${value} (expected one of ${SNAPSHOT_MODES.join(', ')})`)
+  return /** @type {SnapshotMode} */ (value)
+}
+
+/**
+ * @param {string} value Comma separated `key=value` pairs.
+ * @returns {DimensionFilter}
+ */
+export const parseDimensionFilter = value => value.split(',').map(p => p.trim()).filter(Boolean).map(pair => {
+  const i = pair.indexOf('=')
+  if (i < 1) throw new Error(`invalid dimension: ${pair} (expected key=value)`)
+  return [pair.slice(0, i), pair.slice(i + 1)]
+})
+
+/**
+ * Dimensions as `key=value` pairs, e.g. `project=nft.storage`.
+ *
+ * @param {Metric['dimensions']} dimensions
+ */
+export const formatDimensions = dimensions => {
+  const flat = (dimensions ?? []).flat()
+  const pairs = []
+  for (let i = 0; i < flat.length; i += 2) pairs.push(`${flat[i]}=${flat[i + 1] ?? ''}`)
+  return pairs.join(',')
+}
+
+/**
+ * @param {import('pg').PoolClient} db
+ * @returns {Promise<Array<{ name: string, samples: number, first: Date, last: Date }>>}
+ */
+export const listMetrics = async db => {
+  const { rows } = await db.query('SELECT name, COUNT(*) AS samples, MIN(collected_at) AS first, MAX(collected_at) AS last FROM cargo.metrics_log GROUP BY name ORDER BY name')
+  return rows.map(r => ({ ...r, samples: Number(r.samples) }))
+}
+
+/**
+ * @param {import('pg').PoolClient} db
+ * @param {string} name
+ * @returns {Promise<Array<{ dimensions: Metric['dimensions'], samples: number, last: Date }>>}
+ */
+export const listDimensions = async (db, name) => {
+  const { rows } = await db.query('SELECT dimensions, COUNT(*) AS samples, MAX(collected_at) AS last FROM cargo.metrics_log WHERE name = $1 GROUP BY dimensions ORDER BY samples DESC', [name])
+  return rows.map(r => ({ ...r, samples: Number(r.samples) }))
+}
+
+/**
+ * Samples of metric `name` matching `filter`, in time order.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {string} name
+ * @param {DimensionFilter} [filter]
+ * @returns {Promise<Metric[]>}
+ */
+export const fetchMetric = async (db, name, filter = []) => {
+  const { rows } = await db.query('SELECT value, collected_at, dimensions FROM cargo.metrics_log WHERE name = $1 AND dimensions @> $2::text[] ORDER BY collected_at ASC', [name, filter.flat()])
+  return rows
+}
+
+/**
+ * Every period from the first to the last of `periods`, with the gaps
+ * filled in by `fill` (called with the index of the first missing period, and
+ * of the next period present).
+ *
+ * @param {Record<string, Period>} periods
+ * @param {import('./buckets.mjs').Granularity} granularity
+ * @param {(all: string[], from: number, to: number) => void} fill
+ */
+const fillGaps = (periods, granularity, fill) => {
+  const keys = Object.keys(periods).sort()
+  /** @type {string[]} */
+  const all = []
+  if (!keys.length) return all
+  for (let key = keys[0]; key <= keys[keys.length - 1]; key = addPeriods(key, 1, granularity)) all.push(key)
+  for (let i = 0; i < all.length; i++) {
+    if (periods[all[i]]) continue
+    let j = i
+    while (!periods[all[j]]) j++
+    fill(all, i, j)
+    i = j
+  }
+  return all
+}
+
+/**
+ * @param {Record<string, Period>} periods
+ * @param {string[]} all
+ * @param {import('./buckets.mjs').Bucketing} bucketing
+ * @param {Date} now
+ */
+const inOrder = (periods, all, bucketing, now) => {
+  const last = all[all.length - 1]
+  if (last && last === bucketKey(now, bucketing)) periods[last].quality.push('partial')
+  return Object.fromEntries(all.map(k => [k, periods[k]]))
+}
+
+/**
+ * A snapshot of a gauge per period (`value`), and how much it changed from
+ * the snapshot before (`change`, the whole snapshot for the first period).
+ *
+ * @param {Metric[]} metrics Samples of one series, in time order.
+ * @param {import('./buckets.mjs').Bucketing} bucketing
+ * @param {{ snapshot?: SnapshotMode, interpolate?: boolean, now?: Date }} [options]
+ * @returns {Aggregate}
+ */
+export const gauge = (metrics, bucketing, { snapshot = 'end', interpolate = false, now = new Date() } = {}) => {
+  /** @type {Record<string, Period>} */
+  const periods = {}
+  /** @type {Drop[]} */
+  const drops = []
+  /** @type {Metric|undefined} */
+  let prev
+  for (const m of metrics) {
+    const key = bucketKey(m.collected_at, bucketing)
+    const value = Number(m.value)
+    const period = periods[key] ?? (periods[key] = { samples: 0, quality: [] })
+    period.value = snapshot === 'max' && period.value != null ? Math.max(period.value, value) : value
+    period.samples++
+    if (prev && value < Number(prev.value)) {
+      drops.push({ from: prev, to: m, period: key })
+      if (!period.quality.includes('drop')) period.quality.push('drop')
+    }
+    prev = m
+  }
+
+  // gaps, filled in by interpolating between the snapshots either side
+  const all = fillGaps(periods, bucketing.granularity, (all, i, j) => {
+    const before = /** @type {number} */ (periods[all[i - 1]].value)
+    const after = /** @type {number} */ (periods[all[j]].value)
+    for (let k = i; k < j; k++) {
+      periods[all[k]] = interpolate
+        ? { value: before + (after - before) * (k - i + 1) / (j - i + 1), samples: 0, quality: ['interpolated'] }
+        : { samples: 0, quality: ['missing'] }
+    }
+  })
+
+  /** @type {number|undefined} */
+  let prevValue
+  for (const key of all) {
+    const period = periods[key]
+    if (period.value == null) continue
+    period.change = period.value - (prevValue ?? 0)
+    prevValue = period.value
+  }
+  return { periods: inOrder(periods, all, bucketing, now), drops }
+}
+
+/**
+ * The increase of a counter per period (`value`), with drops taken as resets.
+ *
+ * @param {Metric[]} metrics Samples of one series, in time order.
+ * @param {import('./buckets.mjs').Bucketing} bucketing
+ * @param {{ now?: Date }} [options]
+ * @returns {Aggregate}
+ */
+export const counter = (metrics, bucketing, { now = new Date() } = {}) => {
+  /** @type {Record<string, Period>} */
+  const periods = {}
+  /** @type {Drop[]} */
+  const drops = []
+  /** @type {Metric|undefined} */
+  let prev
+  for (const m of metrics) {
+    const key = bucketKey(m.collected_at, bucketing)
+    const value = Number(m.value)
+    const period = periods[key] ?? (periods[key] = { value: 0, samples: 0, quality: [] })
+    period.samples++
+    if (prev) {
+      const before = Number(prev.value)
+      if (value < before) {
+        drops.push({ from: prev, to: m, period: key })
+        if (!period.quality.includes('drop')) period.quality.push('drop')
+      }
+      period.value = (period.value ?? 0) + (value < before ? value : value - before)
+    }
+    prev = m
+  }
+  const all = fillGaps(periods, bucketing.granularity, (all, i, j) => {
+    for (let k = i; k < j; k++) periods[all[k]] = { samples: 0, quality: ['missing'] }
+  })
+  return { periods: inOrder(periods, all, bucketing, now), drops }
+}
@@ -0,0 +1,173 @@
+import * as dagJSON from '@ipld/dag-json'
+import { fromInclusiveCursor } from './currentid-state.mjs'
+import { LOCAL_TZ, DEFAULT_BUCKETING } from './buckets.mjs'
+import { NO_BREAKDOWN, mergeBreakdown } from './breakdown.mjs'
+
+/**
+ * Totals are keyed by period, see `bucketKey` in `./buckets.mjs`. `unknown`
+ * counts the uploads whose DAG size is not known (and so are counted in `real`
+ * and `adjusted` with zero bytes). `by` breaks `real` down by the dimensions
+ * configured in the state, see `./breakdown.mjs`. `unique` counts each
+ * distinct content CID once, in the period of its first upload, where `real`
+ * counts it once per upload.
+ *
+ * @typedef {string} Period
+ * @typedef {{ bytes: number, count: number }} Total
+ * @typedef {{
+ *   real: Total
+ *   adjusted: Total
+ *   unknown?: { count: number }
+ *   unique?: Total
+ *   by?: import('./breakdown.mjs').Breakdown
+ * }} PeriodTotals
+ * @typedef {Record<Period, PeriodTotals>} Totals
+ */
+
+/**
+ * The denylist the `adjusted` totals were computed with. A copy of it is kept
+ * next to the state file (see `denyListSnapshotPath`) so a later denylist can
+ * be diffed against it. Absent in state written before it was recorded.
+ * `matcher` is the version of the matching rules (see `MATCHER_VERSION` in
+ * `./denylist.mjs`), absent for version 1.
+ *
+ * @typedef {{ fingerprint: string, size: number, matcher?: number }} DenyListVersion
+ */
+
+/**
+ * `seen` records the generation of the seen set of content CIDs kept next to
+ * the state file, see `./unique.mjs`. The unique totals only cover uploads
+ * after `uniqueFrom`, which is non zero for state counted before they existed.
+ *
+ * @typedef {import('./uploads.mjs').Shard & { totals: Totals, seen?: import('./unique.mjs').SeenState }} ShardState
+ * @typedef {{
+ *   currentID: bigint
+ *   uniqueFrom: bigint
+ *   seen?: import('./unique.mjs').SeenState
+ *   bucketing: import('./buckets.mjs').Bucketing
+ *   denylist?: DenyListVersion
+ *   breakdown: import('./breakdown.mjs').BreakdownConf
+ *   totals: Totals
+ *   shards?: ShardState[]
+ * }} State
+ */
+
+/**
+ * @param {string} statePath
+ * @param {string} fingerprint
+ */
+export const denyListSnapshotPath = (statePath, fingerprint) => `${statePath}.denylist-${fingerprint.slice(0, 16)}.json`
+
+/** @param {any} raw */
+const decodeShard = raw => ({ ...raw, from: BigInt(raw.from), to: BigInt(raw.to), currentID: BigInt(raw.currentID) })
+
+/** @param {ShardState} shard */
+const encodeShard = shard => ({ ...shard, from: String(shard.from), to: String(shard.to), currentID: String(shard.currentID) })
+
+/** @param {Uint8Array} data */
+export const decode = data => {
+  const raw = dagJSON.decode(data)
+  const state = /** @type {State} */ ({ ...raw, currentID: BigInt(raw.currentID) })
+  if (raw.uniqueFrom != null) state.uniqueFrom = BigInt(raw.uniqueFrom)
+  if (raw.shards) state.shards = raw.shards.map(decodeShard)
+  return state
+}
+
+/** @param {State} state */
+export const encode = state => {
+  const { shards, ...rest } = state
+  return dagJSON.encode({ ...rest, currentID: String(state.currentID), uniqueFrom: String(state.uniqueFrom), ...(shards ? { shards: shards.map(encodeShard) } : {}) })
+}
+
+/**
+ * @param {import('./buckets.mjs').Bucketing} [bucketing]
+ * @param {import('./breakdown.mjs').BreakdownConf} [breakdown]
+ * @returns {State}
+ */
+export const init = (bucketing = DEFAULT_BUCKETING, breakdown = NO_BREAKDOWN) => ({ currentID: 0n, uniqueFrom: 0n, bucketing, breakdown, totals: {} })
+
+/**
+ * @param {{ from: bigint, to: bigint }} range
+ * @returns {ShardState}
+ */
+export const initShard = ({ from, to }) => ({ from, to, currentID: from, totals: {} })
+
+/** @returns {PeriodTotals} */
+export const initPeriod = () => ({ real: { bytes: 0, count: 0 }, adjusted: { bytes: 0, count: 0 } })
+
+/**
+ * Add the totals in `from` to the totals in `into`.
+ *
+ * @param {Totals} into
+ * @param {Totals} from
+ * @param {import('./breakdown.mjs').BreakdownConf} [breakdown]
+ */
+export const mergeTotals = (into, from, breakdown = NO_BREAKDOWN) => {
+  for (const period of Object.keys(from).sort()) {
+    into[period] = into[period] ?? initPeriod()
+    for (const key of /** @type {const} */ (['real', 'adjusted'])) {
+      into[period][key].bytes += from[period][key].bytes
+      into[period][key].count += from[period][key].count
+    }
+    const unique = from[period].unique
+    if (unique) {
+      into[period].unique = {
+        bytes: (into[period].unique?.bytes ?? 0) + unique.bytes,
+        count: (into[period].unique?.count ?? 0) + unique.count
+      }
+    }
+    const unknown = from[period].unknown
+    if (unknown) {
+      into[period].unknown = { count: (into[period].unknown?.count ?? 0) + unknown.count }
+    }
+    const by = from[period].by
+    if (by) {
+      into[period].by = mergeBreakdown(into[period].by ?? {}, by, breakdown)
+    }
+  }
+  return into
+}
+
+/**
+ * @param {State} state
+ * @param {ShardState} shard
+ */
+export const merge = (state, shard) => { mergeTotals(state.totals, shard.totals, state.breakdown) }
+
+/**
+ * Version 1 nested totals by year and zero based month, bucketed in the time
+ * zone of whichever host ran the scan.
+ *
+ * @param {Record<string, Record<string, PeriodTotals>>} nested
+ * @returns {Totals}
+ */
+const flattenMonths = nested => {
+  /** @type {Totals} */
+  const totals = {}
+  for (const [year, months] of Object.entries(nested)) {
+    for (const [month, t] of Object.entries(months)) {
+      totals[`${year}-${(Number(month) + 1).toString().padStart(2, '0')}`] = t
+    }
+  }
+  return totals
+}
+
+export const version = 5
+
+/** @type {import('./state.mjs').Migrations} */
+export const migrations = {
+  0: fromInclusiveCursor,
+  1: state => ({
+    ...state,
+    bucketing: { granularity: 'month', tz: LOCAL_TZ },
+    totals: flattenMonths(state.totals),
+    ...(state.shards ? { shards: state.shards.map((/** @type {any} */ s) => ({ ...s, totals: flattenMonths(s.totals) })) } : {})
+  }),
+  // the denylist used is unknown, it is recorded on the next run
+  2: state => state,
+  3: state => ({ ...state, breakdown: NO_BREAKDOWN }),
+  // uploads up to the furthest cursor were counted without a seen set
+  4: state => ({
+    ...state,
+    uniqueFrom: (state.shards ?? []).reduce((max, /** @type {any} */ s) => s.currentID > max ? s.currentID : max, state.currentID)
+  })
+}
@@ -0,0 +1,174 @@
+import fs from 'node:fs'
+import { periodColumn } from './buckets.mjs'
+import { topUsers } from './breakdown.mjs'
+
+/**
+ * Report tables (see `./report.mjs`) of the totals in "count monthly" state.
+ *
+ * @typedef {import('./report.mjs').Table} Table
+ * @typedef {import('./report.mjs').Column} Column
+ * @typedef {import('./monthly-state.mjs').State} State
+ * @typedef {import('./filecoin.mjs').FilecoinTotals} FilecoinTotals
+ */
+
+/** @param {{ bucketing: import('./buckets.mjs').Bucketing }} state */
+const periodLabel = state => /** @type {Column} */ ({ key: 'period', label: periodColumn(state.bucketing.granularity), kind: 'label' })
+
+/**
+ * Cumulative and per-period columns for a series. Running totals are over all
+ * periods, whatever range is reported.
+ *
+ * @param {string} key
+ * @param {string} label
+ * @param {'bytes'|'count'} kind
+ * @returns {Column[]}
+ */
+const series = (key, label, kind) => [
+  { key: `total_${key}`, label: `Total ${label}`, kind, cumulative: true },
+  { key: `new_${key}`, label: `New ${label}`, kind, cumulative: false }
+]
+
+/**
+ * @param {State} state
+ * @param {Array<[string, (totals: import('./monthly-state.mjs').PeriodTotals) => number]>} values
+ */
+const runningTotals = (state, values) => {
+  /** @type {Record<string, number>} */
+  const running = {}
+  return Object.keys(state.totals).sort().map(period => {
+    /** @type {Record<string, string|number>} */
+    const row = { period }
+    for (const [key, value] of values) {
+      const v = value(state.totals[period])
+      running[key] = (running[key] ?? 0) + v
+      row[`total_${key}`] = running[key]
+      row[`new_${key}`] = v
+    }
+    return row
+  })
+}
+
+/**
+ * Gross (every upload) and unique (each content CID once) series side by side.
+ *
+ * @param {State} state
+ * @returns {Table}
+ */
+export const realTable = state => ({
+  name: 'real',
+  title: 'All uploads',
+  columns: [
+    periodLabel(state),
+    ...series('data', 'Data', 'bytes'),
+    ...series('unique_data', 'Unique Data', 'bytes'),
+    ...series('uploads', 'Uploads', 'count'),
+    ...series('unique_cids', 'Unique CIDs', 'count')
+  ],
+  rows: runningTotals(state, [
+    ['data', t => t.real.bytes],
+    ['unique_data', t => t.unique?.bytes ?? 0],
+    ['uploads', t => t.real.count],
+    ['unique_cids', t => t.unique?.count ?? 0]
+  ])
+})
+
+/**
+ * @param {State} state
+ * @returns {Table}
+ */
+export const adjustedTable = state => ({
+  name: 'adjusted',
+  title: 'Uploads not on the denylist',
+  columns: [periodLabel(state), ...series('data', 'Data', 'bytes'), ...series('uploads', 'Uploads', 'count')],
+  rows: runningTotals(state, [
+    ['data', t => t.adjusted.bytes],
+    ['uploads', t => t.adjusted.count]
+  ])
+})
+
+/**
+ * Breakdowns of real totals the state was counted with.
+ *
+ * @param {State} state
+ * @returns {Table[]}
+ */
+export const breakdownTables = state => {
+  const { dimensions, topUsers: n } = state.breakdown
+  const periods = Object.keys(state.totals).sort()
+  /** @type {Table[]} */
+  const tables = []
+  for (const [dimension, label] of /** @type {const} */ ([['type', 'Type'], ['status', 'Status']])) {
+    if (!dimensions.includes(dimension)) continue
+    tables.push({
+      name: `by-${dimension}`,
+      title: `Uploads by ${dimension}`,
+      columns: [
+        periodLabel(state),
+        { key: dimension, label, kind: 'label' },
+        { key: 'data', label: 'Data', kind: 'bytes' },
+        { key: 'uploads', label: 'Uploads', kind: 'count' }
+      ],
+      rows: periods.flatMap(period => {
+        const totals = state.totals[period].by?.[dimension] ?? {}
+        return Object.keys(totals).sort().map(key => ({ period, [dimension]: key, data: totals[key].bytes, uploads: totals[key].count }))
+      })
+    })
+  }
+  if (dimensions.includes('user')) {
+    tables.push({
+      name: 'top-users',
+      title: `Top ${n} users by data`,
+      columns: [
+        periodLabel(state),
+        { key: 'rank', label: 'Rank', kind: 'label' },
+        { key: 'user', label: 'User', kind: 'label' },
+        { key: 'data', label: 'Data', kind: 'bytes' },
+        { key: 'uploads', label: 'Uploads', kind: 'count' },
+        { key: 'error', label: 'Error', kind: 'bytes' }
+      ],
+      rows: periods.flatMap(period => topUsers(state.totals[period].by?.user ?? {}, n)
+        .map((u, i) => ({ period, rank: i + 1, user: u.user, data: u.bytes, uploads: u.count, error: u.error })))
+    })
+  }
+  return tables
+}
+
+/**
+ * The totals "count filecoin" wrote to `file`, if it exists.
+ *
+ * @param {string} file
+ * @returns {Promise<FilecoinTotals|undefined>}
+ */
+export const readFilecoin = async file => {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'))
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+}
+
+/**
+ * Snapshots of the bytes stored on Filecoin, with their quality flags (see
+ * `./filecoin.mjs`). Missing periods have no data.
+ *
+ * @param {FilecoinTotals} filecoin
+ * @returns {Table}
+ */
+export const filecoinTable = filecoin => ({
+  name: 'filecoin',
+  title: 'Stored on Filecoin',
+  columns: [
+    periodLabel(filecoin),
+    ...series('data', 'Data', 'bytes'),
+    { key: 'samples', label: 'Samples', kind: 'count' },
+    { key: 'quality', label: 'Quality', kind: 'label' }
+  ],
+  rows: Object.keys(filecoin.periods).sort().map(period => {
+    const p = filecoin.periods[period]
+    /** @type {Record<string, string|number>} */
+    const row = { period, samples: p.samples, quality: p.quality.length ? p.quality.join(';') : 'ok' }
+    if (p.stored != null) row.total_data = p.stored
+    if (p.new != null) row.new_data = p.new
+    return row
+  })
+})
@@ -0,0 +1,39 @@
+import fs from 'node:fs'
+import { Readable, Writable } from 'node:stream'
+import { Parse, Stringify } from 'ndjson-web'
+
+/**
+ * Open an NDJSON file for writing, appending to it if `append` is set.
+ *
+ * @template T
+ * @param {string} path
+ * @param {{ append?: boolean }} [options]
+ */
+export const openWriter = (path, { append = false } = {}) => {
+  /** @type {TransformStream<T, Uint8Array>} */
+  const ndjson = new Stringify()
+  const written = ndjson.readable
+    .pipeTo(Writable.toWeb(fs.createWriteStream(path, { flags: append ? 'a' : 'w' })))
+  const writer = ndjson.writable.getWriter()
+  return {
+    /** @param {T} item */
+    write: item => writer.write(item),
+    close: async () => {
+      await writer.close()
+      await written
+    }
+  }
+}
+
+/**
+ * Read the items of an NDJSON file, in order.
+ *
+ * @template T
+ * @param {string} path
+ * @returns {AsyncIterable<T>}
+ */
+export async function * readItems (path) {
+  const source = /** @type {ReadableStream<Uint8Array>} */
+    (Readable.toWeb(fs.createReadStream(path)))
+  yield * source.pipeThrough(new Parse())
+}
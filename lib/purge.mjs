@@ -0,0 +1,149 @@
+import retry, { AbortError } from 'p-retry'
+import map from 'p-map'
+import { HeadObjectCommand, DeleteObjectsCommand } from '@aws-sdk/client-s3'
+import { parseCarPath } from './blocks-cars.mjs'
+import { isDenyListed } from './denylist.mjs'
+
+/**
+ * A purge plan lists the CARs found by "denylist cars" that can be deleted,
+ * grouped by bucket. A CAR is only planned for deletion if it was uploaded
+ * with a denylisted root, as any other CAR (or one of unknown origin) may
+ * hold content that is not denylisted: these are `excluded`, with the
+ * reason. CARs that are already gone are listed as `missing`.
+ *
+ * @typedef {{ key: string, bytes: number, uploads: string[] }} PlanObject
+ * @typedef {{ region: string, bucket: string, count: number, bytes: number, objects: PlanObject[] }} PlanBucket
+ * @typedef {'unknown-root'|'not-denylisted'|'shared'} ExcludeReason
+ * @typedef {{ carpath: string, root: string|null, reason: ExcludeReason, uploads: string[] }} Excluded
+ * @typedef {{
+ *   created: string
+ *   buckets: PlanBucket[]
+ *   excluded: Excluded[]
+ *   missing: string[]
+ *   totals: { count: number, bytes: number, excluded: number, missing: number }
+ * }} Plan
+ * @typedef {{ upload: string, keys?: string[], cars?: Array<{ key: string, unsafe?: boolean }> }} CarsLine
+ */
+
+const CONCURRENCY = 10
+
+/** Most keys S3 (and R2) delete in one request. */
+export const DELETE_LIMIT = 1000
+
+/**
+ * Size in bytes of the object at `carpath`, or `null` if there is none.
+ *
+ * @param {(region: string) => import('@aws-sdk/client-s3').S3Client} client
+ * @param {string} carpath
+ */
+export const headObject = async (client, carpath) => {
+  const { region, bucket, key } = parseCarPath(carpath)
+  return retry(async () => {
+    try {
+      const res = await client(region).send(new HeadObjectCommand({ Bucket: bucket, Key: key }))
+      return res.ContentLength ?? 0
+    } catch (err) {
+      if (err.$metadata?.httpStatusCode === 404) return null
+      const error = new Error(`failed to head object: ${carpath}`, { cause: err })
+      const status = err.$metadata?.httpStatusCode
+      throw status >= 400 && status < 500 && status !== 429 ? new AbortError(error) : error
+    }
+  }, { onFailedAttempt: console.warn })
+}
+
+/**
+ * Build a purge plan from the lines of "denylist cars" output.
+ *
+ * @param {AsyncIterable<CarsLine>} lines
+ * @param {import('./denylist.mjs').DenyList} denylist
+ * @param {{ sizeOf: (carpath: string) => Promise<number|null>, concurrency?: number }} options
+ * @returns {Promise<Plan>}
+ */
+export const buildPlan = async (lines, denylist, { sizeOf, concurrency = CONCURRENCY }) => {
+  /** @type {Map<string, { uploads: Set<string>, unsafe: boolean }>} */
+  const cars = new Map()
+  for await (const line of lines) {
+    const found = [...(line.keys ?? []).map(key => ({ key, unsafe: false })), ...(line.cars ?? [])]
+    for (const { key, unsafe } of found) {
+      let car = cars.get(key)
+      if (!car) cars.set(key, car = { uploads: new Set(), unsafe: false })
+      car.uploads.add(line.upload)
+      car.unsafe ||= Boolean(unsafe)
+    }
+  }
+
+  /** @type {Excluded[]} */
+  const excluded = []
+  /** @type {string[]} */
+  const candidates = []
+  for (const [carpath, car] of cars) {
+    const root = parseCarPath(carpath).root ?? null
+    const uploads = [...car.uploads]
+    if (!root) excluded.push({ carpath, root, reason: 'unknown-root', uploads })
+    else if (!isDenyListed(denylist, root)) excluded.push({ carpath, root, reason: 'not-denylisted', uploads })
+    else if (car.unsafe) excluded.push({ carpath, root, reason: 'shared', uploads })
+    else candidates.push(carpath)
+  }
+
+  const sizes = await map(candidates, sizeOf, { concurrency })
+
+  /** @type {Map<string, PlanBucket>} */
+  const buckets = new Map()
+  /** @type {string[]} */
+  const missing = []
+  candidates.forEach((carpath, i) => {
+    const bytes = sizes[i]
+    if (bytes == null) return missing.push(carpath)
+    const { region, bucket, key } = parseCarPath(carpath)
+    const id = `${region}/${bucket}`
+    let b = buckets.get(id)
+    if (!b) buckets.set(id, b = { region, bucket, count: 0, bytes: 0, objects: [] })
+    b.objects.push({ key, bytes, uploads: [.../** @type {{ uploads: Set<string> }} */ (cars.get(carpath)).uploads] })
+    b.count++
+    b.bytes += bytes
+  })
+
+  const sorted = [...buckets.values()].sort((a, b) => `${a.region}/${a.bucket}`.localeCompare(`${b.region}/${b.bucket}`))
+  for (const b of sorted) b.objects.sort((x, y) => x.key.localeCompare(y.key))
+  return {
+    created: new Date().toISOString(),
+    buckets: sorted,
+    excluded: excluded.sort((a, b) => a.carpath.localeCompare(b.carpath)),
+    missing: missing.sort(),
+    totals: {
+      count: sorted.reduce((n, b) => n + b.count, 0),
+      bytes: sorted.reduce((n, b) => n + b.bytes, 0),
+      excluded: excluded.length,
+      missing: missing.length
+    }
+  }
+}
+
+/**
+ * Delete `keys` from `bucket` in one request, retrying if the request fails.
+ * Keys that are already gone count as deleted, as by S3.
+ *
+ * @param {import('@aws-sdk/client-s3').S3Client} s3
+ * @param {string} bucket
+ * @param {string[]} keys
+ * @returns {Promise<{ deleted: string[], errors: Array<{ key: string, error: string }> }>}
+ */
+export const deleteObjects = async (s3, bucket, keys) => {
+  if (keys.length > DELETE_LIMIT) throw new Error(`too many keys to delete at once: ${keys.length}`)
+  const res = await retry(async () => {
+    try {
+      return await s3.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.map(Key => ({ Key })), Quiet: false }
+      }))
+    } catch (err) {
+      const error = new Error(`failed to delete ${keys.length} objects from ${bucket}`, { cause: err })
+      const status = err.$metadata?.httpStatusCode
+      throw status >= 400 && status < 500 && status !== 429 ? new AbortError(error) : error
+    }
+  }, { onFailedAttempt: console.warn })
+  return {
+    deleted: (res.Deleted ?? []).map(d => d.Key ?? ''),
+    errors: (res.Errors ?? []).map(e => ({ key: e.Key ?? '', error: `${e.Code}: ${e.Message}` }))
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Uploaded bytes ("count monthly" state) against bytes stored on Filecoin
+ * ("count filecoin" snapshots), per period. The `basis` is which uploads
+ * count: all of them or those not on the denylist. Periods are compared by
+ * the data added in each (`new`) or the running totals (`total`).
+ *
+ * @typedef {'real'|'adjusted'} Basis
+ * @typedef {'new'|'total'} Comparison
+ */
+
+/** @type {Basis[]} */
+export const BASES = ['real', 'adjusted']
+
+/** @type {Comparison[]} */
+export const COMPARISONS = ['new', 'total']
+
+/**
+ * @param {string} value
+ * @returns {Basis}
+ */
+export const parseBasis = value => {
+  if (!BASES.includes(/** @type {Basis} */ (value))) throw new Error(`invalid basis: ${value} (expected one of ${BASES.join(', ')})`)
+  return /** @type {Basis} */ (value)
+}
+
+/**
+ * @param {string} value
+ * @returns {Comparison}
+ */
+export const parseComparison = value => {
+  if (!COMPARISONS.includes(/** @type {Comparison} */ (value))) throw new Error(`invalid comparison: ${value} (expected one of ${COMPARISONS.join(', ')})`)
+  return /** @type {Comparison} */ (value)
+}
+
+/**
+ * Uploaded and stored bytes side by side, per period, with the `status` of
+ * each: `ok`, `diverged` (by more than `threshold`, a fraction) or `no-data`
+ * (no Filecoin snapshot).
+ *
+ * @param {import('./monthly-state.mjs').State} state
+ * @param {import('./filecoin.mjs').FilecoinTotals} filecoin
+ * @param {{ basis: Basis, compare: Comparison, threshold: number }} options
+ */
+export const reconcileRows = (state, filecoin, { basis, compare, threshold }) => {
+  const periods = [...new Set([...Object.keys(state.totals), ...Object.keys(filecoin.periods)])].sort()
+  let uploadedTotal = 0
+  return periods.map(period => {
+    const uploaded = state.totals[period]?.[basis].bytes ?? 0
+    uploadedTotal += uploaded
+    const stored = filecoin.periods[period]
+    const expected = compare === 'new' ? uploaded : uploadedTotal
+    const actual = compare === 'new' ? stored?.new : stored?.stored
+    /** @type {Record<string, string|number|undefined>} */
+    const row = {
+      period,
+      uploaded_total: uploadedTotal,
+      uploaded_new: uploaded,
+      stored_total: stored?.stored,
+      stored_new: stored?.new,
+      quality: stored ? (stored.quality.length ? stored.quality.join(';') : 'ok') : 'missing'
+    }
+    if (actual == null) return { ...row, status: 'no-data' }
+    const difference = actual - expected
+    const ratio = expected ? difference / expected : (difference ? Infinity : 0)
+    return {
+      ...row,
+      difference,
+      difference_pct: Number.isFinite(ratio) ? (ratio * 100).toFixed(1) : undefined,
+      status: Math.abs(ratio) > threshold ? 'diverged' : 'ok'
+    }
+  })
+}
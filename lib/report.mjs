@@ -0,0 +1,192 @@
+/**
+ * Reports are built as tables, which are then written out in any of the
+ * `FORMATS`.
+ *
+ * A column holds a `label` (e.g. a period or upload type), or a number of
+ * `bytes` (converted to the report's unit) or a `count`. Columns of running
+ * totals are marked `cumulative: true` and columns of per-period amounts
+ * `cumulative: false`, so one or the other can be left out. A row may leave
+ * out a value that is not known.
+ *
+ * @typedef {{ key: string, label: string, kind: 'label'|'bytes'|'count', cumulative?: boolean }} Column
+ * @typedef {{ name: string, title: string, columns: Column[], rows: Array<Record<string, string|number|undefined>> }} Table
+ * @typedef {'bytes'|'GiB'|'TiB'|'TB'} Unit
+ * @typedef {'both'|'cumulative'|'period'} ColumnMode
+ * @typedef {{ unit: Unit, bucketing: import('./buckets.mjs').Bucketing }} Meta
+ * @typedef {{ extension: string, combined?: boolean, format: (tables: Table[], meta: Meta) => string }} Format
+ */
+
+/** @type {Record<Unit, number>} */
+export const UNITS = {
+  bytes: 1,
+  GiB: 1024 ** 3,
+  TiB: 1024 ** 4,
+  TB: 1000 ** 4
+}
+
+/** @type {ColumnMode[]} */
+export const COLUMN_MODES = ['both', 'cumulative', 'period']
+
+/**
+ * @param {string} value
+ * @returns {Unit}
+ */
+export const parseUnit = value => {
+  if (!(value in UNITS)) throw new Error(`invalid unit: ${value} (expected one of ${Object.keys(UNITS).join(', ')})`)
+  return /** @type {Unit} */ (value)
+}
+
+/**
+ * @param {string} value
+ * @returns {ColumnMode}
+ */
+export const parseColumnMode = value => {
+  if (!COLUMN_MODES.includes(/** @type {ColumnMode} */ (value))) throw new Error(`invalid columns: ${value} (expected one of ${COLUMN_MODES.join(', ')})`)
+  return /** @type {ColumnMode} */ (value)
+}
+
+/**
+ * @param {string} value Comma separated format names.
+ */
+export const parseFormats = value => {
+  const formats = value.split(',').map(f => f.trim()).filter(Boolean)
+  for (const f of formats) {
+    if (!(f in FORMATS)) throw new Error(`invalid format: ${f} (expected one of ${Object.keys(FORMATS).join(', ')})`)
+  }
+  return formats
+}
+
+/**
+ * A date (`YYYY`, `YYYY-MM` or `YYYY-MM-DD`) for filtering periods by the
+ * day they start.
+ *
+ * @param {string} value
+ */
+export const parseDate = value => {
+  if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) throw new Error(`invalid date: ${value} (expected YYYY, YYYY-MM or YYYY-MM-DD)`)
+  return value
+}
+
+/**
+ * Whether a period starting on `start` (`YYYY-MM-DD`) is within `from` and
+ * `to`, both inclusive and as precise as given (so `to: '2024-03'` includes
+ * every period starting in March 2024).
+ *
+ * @param {string} start
+ * @param {{ from?: string, to?: string }} range
+ */
+export const inDateRange = (start, { from, to }) =>
+  (!from || start >= from) && (!to || start.slice(0, to.length) <= to)
+
+/**
+ * @param {Table} table
+ * @param {ColumnMode} mode
+ * @returns {Table}
+ */
+export const selectColumns = (table, mode) => {
+  if (mode === 'both') return table
+  const keep = mode === 'cumulative'
+  return { ...table, columns: table.columns.filter(c => c.cumulative == null || c.cumulative === keep) }
+}
+
+/**
+ * @param {Column} column
+ * @param {string|number|undefined} value
+ * @param {Unit} unit
+ */
+export const formatValue = (column, value, unit) => {
+  if (value == null) return ''
+  if (column.kind !== 'bytes') return String(value)
+  return unit === 'bytes' ? String(value) : (Number(value) / UNITS[unit]).toFixed(2)
+}
+
+/**
+ * @param {Column} column
+ * @param {Unit} unit
+ */
+export const heading = (column, unit) => column.kind === 'bytes' ? `${column.label} (${unit})` : column.label
+
+/** @param {string} value */
+const csvField = value => /[",\n]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value
+
+/** @param {string} value */
+const metricName = value => value.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+
+/** @param {string} value */
+const labelValue = value => value.replaceAll('\\', '\\\\').replaceAll('"', '\\"').replaceAll('\n', '\\n')
+
+/** @type {Record<Unit, string>} */
+const PROMETHEUS_UNITS = { bytes: 'bytes', GiB: 'gibibytes', TiB: 'tebibytes', TB: 'terabytes' }
+
+/** @type {Record<string, Format>} */
+export const FORMATS = {
+  csv: {
+    extension: 'csv',
+    format: ([table], { unit }) => [
+      table.columns.map(c => csvField(heading(c, unit))).join(','),
+      ...table.rows.map(row => table.columns.map(c => csvField(formatValue(c, row[c.key], unit))).join(','))
+    ].join('\n')
+  },
+  json: {
+    extension: 'json',
+    format: ([table], { unit, bucketing }) => JSON.stringify({
+      title: table.title,
+      unit,
+      granularity: bucketing.granularity,
+      tz: bucketing.tz,
+      rows: table.rows.map(row => Object.fromEntries(table.columns.map(c => {
+        const value = formatValue(c, row[c.key], unit)
+        return [c.key, c.kind === 'label' ? value : value === '' ? null : Number(value)]
+      })))
+    }, null, 2)
+  },
+  markdown: {
+    extension: 'md',
+    format: ([table], { unit }) => [
+      `## ${table.title}`,
+      '',
+      `| ${table.columns.map(c => heading(c, unit)).join(' | ')} |`,
+      `|${table.columns.map(c => c.kind === 'label' ? ' --- ' : ' ---: ').join('|')}|`,
+      ...table.rows.map(row => `| ${table.columns.map(c => formatValue(c, row[c.key], unit).replaceAll('|', '\\|')).join(' | ')} |`)
+    ].join('\n')
+  },
+  // OpenMetrics text, one gauge family per numeric column, labelled by the
+  // label columns (period, type, ...)
+  prometheus: {
+    extension: 'prom',
+    combined: true,
+    format: (tables, { unit }) => {
+      const lines = []
+      for (const table of tables) {
+        const labels = table.columns.filter(c => c.kind === 'label')
+        for (const column of table.columns.filter(c => c.kind !== 'label')) {
+          const name = `nftstorage_${metricName(table.name)}_${metricName(column.key)}${column.kind === 'bytes' ? `_${PROMETHEUS_UNITS[unit]}` : ''}`
+          lines.push(`# HELP ${name} ${table.title}: ${heading(column, unit)}`)
+          lines.push(`# TYPE ${name} gauge`)
+          for (const row of table.rows) {
+            if (row[column.key] == null) continue
+            const set = labels.map(l => `${metricName(l.key)}="${labelValue(String(row[l.key]))}"`).join(',')
+            lines.push(`${name}{${set}} ${formatValue(column, row[column.key], unit)}`)
+          }
+        }
+      }
+      lines.push('# EOF')
+      return lines.join('\n')
+    }
+  }
+}
+
+/**
+ * Render `tables` in `format`, as a list of `[filename, contents]`. Most
+ * formats write a file per table, named after it.
+ *
+ * @param {Table[]} tables
+ * @param {string} format
+ * @param {Meta} meta
+ * @returns {Array<[string, string]>}
+ */
+export const render = (tables, format, meta) => {
+  const { extension, combined, format: fn } = FORMATS[format]
+  if (combined) return [[`report.${extension}`, `${fn(tables, meta)}\n`]]
+  return tables.map(t => [`${t.name}.${extension}`, fn([t], meta)])
+}
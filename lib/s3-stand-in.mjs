@@ -0,0 +1,118 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import http from 'node:http'
+
+/**
+ * A local stand-in for the parts of the S3 API the tools use (reading,
+ * writing and deleting objects), storing objects as files under `dir` at
+ * `<dir>/<bucket>/<key>`. Point `S3_ENDPOINT` at it to read CARs from or
+ * purge them in it instead of S3 or R2. Requests are addressed path style and
+ * are not authenticated. `test/purge.test.mjs` plans and executes a purge
+ * through it.
+ */
+
+/** @param {string} value */
+const escapeXML = value => value.replace(/[<>&'"]/g, c => `&#${c.charCodeAt(0)};`)
+
+/** @param {string} value */
+const unescapeXML = value => value
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+  .replace(/&amp;/g, '&')
+
+/**
+ * @param {{ dir: string }} options
+ */
+export const createS3StandIn = ({ dir }) => {
+  const root = path.resolve(dir)
+
+  /**
+   * @param {string} bucket
+   * @param {string} key
+   */
+  const objectPath = (bucket, key) => {
+    const file = path.resolve(root, bucket, key)
+    if (!file.startsWith(root + path.sep)) throw new Error(`invalid key: ${key}`)
+    return file
+  }
+
+  /**
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {string} [body]
+   */
+  const reply = (res, status, body) => {
+    res.writeHead(status, body ? { 'Content-Type': 'application/xml' } : {})
+    res.end(body)
+  }
+
+  /**
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {string} code
+   * @param {string} [message]
+   */
+  const error = (res, status, code, message = code) =>
+    reply(res, status, `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${escapeXML(message)}</Message></Error>`)
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url ?? '/', 'http://localhost')
+    const [bucket, ...rest] = url.pathname.slice(1).split('/').map(decodeURIComponent)
+    const key = rest.join('/')
+    if (!bucket) return error(res, 400, 'InvalidBucketName')
+
+    try {
+      if (req.method === 'POST' && url.searchParams.has('delete')) {
+        let body = ''
+        for await (const chunk of req) body += chunk
+        const keys = [...body.matchAll(/<Key>([^<]*)<\/Key>/g)].map(m => unescapeXML(m[1]))
+        const results = []
+        for (const key of keys) {
+          try {
+            // deleting a key that is not there succeeds, as by S3
+            await fs.promises.rm(objectPath(bucket, key), { force: true })
+            results.push(`<Deleted><Key>${escapeXML(key)}</Key></Deleted>`)
+          } catch (err) {
+            results.push(`<Error><Key>${escapeXML(key)}</Key><Code>InternalError</Code><Message>${escapeXML(err.message)}</Message></Error>`)
+          }
+        }
+        return reply(res, 200, `<?xml version="1.0" encoding="UTF-8"?><DeleteResult>${results.join('')}</DeleteResult>`)
+      }
+
+      if (!key) return error(res, 405, 'MethodNotAllowed')
+      const file = objectPath(bucket, key)
+
+      if (req.method === 'PUT') {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true })
+        const chunks = []
+        for await (const chunk of req) chunks.push(chunk)
+        await fs.promises.writeFile(file, Buffer.concat(chunks))
+        return reply(res, 200)
+      }
+
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        let stat
+        try {
+          stat = await fs.promises.stat(file)
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err
+          return req.method === 'HEAD' ? reply(res, 404) : error(res, 404, 'NoSuchKey')
+        }
+        res.writeHead(200, { 'Content-Length': stat.size, 'Content-Type': 'application/octet-stream', 'Last-Modified': stat.mtime.toUTCString() })
+        if (req.method === 'HEAD') return res.end()
+        return fs.createReadStream(file).pipe(res)
+      }
+
+      if (req.method === 'DELETE') {
+        await fs.promises.rm(file, { force: true })
+        return reply(res, 204)
+      }
+
+      error(res, 405, 'MethodNotAllowed')
+    } catch (err) {
+      error(res, 500, 'InternalError', err.message)
+    }
+  })
+
+  return { server }
+}
@@ -0,0 +1,19 @@
+import { S3Client } from '@aws-sdk/client-s3'
+
+/**
+ * S3 clients by region, created as needed. An `endpoint` (e.g. R2, or a
+ * local stand-in, see `./s3-stand-in.mjs`) is used for every region instead
+ * of AWS.
+ *
+ * @param {{ endpoint?: string }} [options]
+ */
+export const createS3Clients = ({ endpoint } = {}) => {
+  /** @type {Map<string, S3Client>} */
+  const clients = new Map()
+  /** @param {string} region */
+  return region => {
+    let s3 = clients.get(region)
+    if (!s3) clients.set(region, s3 = new S3Client(endpoint ? { region, endpoint, forcePathStyle: true } : { region }))
+    return s3
+  }
+}
@@ -0,0 +1,359 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { createHash } from 'node:crypto'
+import { writeAtomic } from './state.mjs'
+
+/**
+ * A set of keys kept on disk, for remembering hundreds of millions of CIDs
+ * without holding them in memory. Each key may carry a fixed size value.
+ *
+ * Keys added are buffered in memory until `flush`, which writes them as a
+ * sorted "run" file and returns a new generation number. Lookups binary search
+ * each run, reading one block per run with the help of a sparse index of every
+ * `INDEX_INTERVAL`th key. `commit` merges runs of similar size so there are
+ * only ever a few of them.
+ *
+ * The caller records the generation in its own state, and passes it back when
+ * reopening the set. Runs written after that generation (i.e. for batches the
+ * state does not include) are discarded, so the set always agrees with the
+ * state it is stored alongside.
+ *
+ * @typedef {{ file: string, count: number, generation: number }} Run
+ * @typedef {{ keySize: number, valueSize: number, generation: number, runs: Run[] }} Manifest
+ * @typedef {Run & { handle: fs.promises.FileHandle, index: Buffer }} OpenRun
+ */
+
+/** Bytes of the sha256 of a string used as its key. */
+export const KEY_SIZE = 12
+
+const INDEX_INTERVAL = 256
+const CHUNK_RECORDS = 4096
+const MANIFEST = 'manifest.json'
+
+/**
+ * @param {string} str
+ * @returns {Buffer}
+ */
+export const keyOf = str => createHash('sha256').update(str).digest().subarray(0, KEY_SIZE)
+
+/**
+ * Fixed size records from `file`, in order.
+ *
+ * @param {string} file
+ * @param {number} recordSize
+ * @returns {AsyncIterable<Buffer>}
+ */
+export async function * readRecords (file, recordSize) {
+  let rest = Buffer.alloc(0)
+  for await (const chunk of fs.createReadStream(file, { highWaterMark: recordSize * CHUNK_RECORDS })) {
+    const data = rest.length ? Buffer.concat([rest, chunk]) : chunk
+    const whole = data.length - (data.length % recordSize)
+    for (let i = 0; i < whole; i += recordSize) yield data.subarray(i, i + recordSize)
+    rest = data.subarray(whole)
+  }
+}
+
+/**
+ * Merge sorted record sources into one sorted sequence. Where sources share a
+ * key, the record from the last of them wins.
+ *
+ * @param {Array<AsyncIterable<Buffer>|Iterable<Buffer>>} sources
+ * @param {number} keySize
+ * @returns {AsyncIterable<Buffer>}
+ */
+export async function * mergeSorted (sources, keySize) {
+  const iters = sources.map(s => Symbol.asyncIterator in s ? s[Symbol.asyncIterator]() : s[Symbol.iterator]())
+  try {
+    const heads = await Promise.all(iters.map(it => it.next()))
+    while (true) {
+      let min = -1
+      for (let i = 0; i < heads.length; i++) {
+        if (heads[i].done) continue
+        if (min !== -1) {
+          const c = Buffer.compare(heads[i].value.subarray(0, keySize), heads[min].value.subarray(0, keySize))
+          if (c > 0) continue
+          if (c === 0) heads[min] = await iters[min].next()
+        }
+        min = i
+      }
+      if (min === -1) return
+      yield heads[min].value
+      heads[min] = await iters[min].next()
+    }
+  } finally {
+    await Promise.all(iters.map(it => it.return?.()))
+  }
+}
+
+/**
+ * Last block whose first key is <= `key`, or -1 if `key` sorts before all.
+ *
+ * @param {Buffer} index
+ * @param {Buffer} key
+ */
+const blockOf = (index, key) => {
+  let lo = 0
+  let hi = index.length / key.length - 1
+  let block = -1
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (Buffer.compare(index.subarray(mid * key.length, (mid + 1) * key.length), key) <= 0) {
+      block = mid
+      lo = mid + 1
+    } else {
+      hi = mid - 1
+    }
+  }
+  return block
+}
+
+/**
+ * @param {Buffer} block
+ * @param {Buffer} key
+ * @param {number} recordSize
+ */
+const search = (block, key, recordSize) => {
+  let lo = 0
+  let hi = block.length / recordSize - 1
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    const record = block.subarray(mid * recordSize, (mid + 1) * recordSize)
+    const c = Buffer.compare(record.subarray(0, key.length), key)
+    if (c === 0) return record
+    if (c < 0) lo = mid + 1
+    else hi = mid - 1
+  }
+}
+
+/**
+ * @param {string} dir
+ * @param {{ valueSize?: number, generation: number }} options
+ */
+export async function openSeenSet (dir, { valueSize = 0, generation }) {
+  const keySize = KEY_SIZE
+  const recordSize = keySize + valueSize
+  await fs.promises.mkdir(dir, { recursive: true })
+
+  /** @type {Manifest} */
+  let manifest = { keySize, valueSize, generation: 0, runs: [] }
+  try {
+    manifest = JSON.parse(await fs.promises.readFile(path.join(dir, MANIFEST), 'utf8'))
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+  }
+  if (manifest.keySize !== keySize || manifest.valueSize !== valueSize) {
+    throw new Error(`seen set record size mismatch: ${dir}`)
+  }
+  if (manifest.generation < generation) {
+    throw new Error(`seen set is at generation ${manifest.generation}, state expects ${generation}: ${dir}`)
+  }
+  manifest.runs = manifest.runs.filter(r => r.generation <= generation)
+  manifest.generation = generation
+
+  const writeManifest = () => writeAtomic(path.join(dir, MANIFEST), Buffer.from(JSON.stringify(manifest)))
+  await writeManifest()
+
+  // remove runs discarded above, and any left by an interrupted write
+  const live = new Set([MANIFEST, ...manifest.runs.flatMap(r => [r.file, `${r.file}.idx`])])
+  for (const file of await fs.promises.readdir(dir)) {
+    if (!live.has(file)) await fs.promises.rm(path.join(dir, file), { force: true })
+  }
+
+  /** @param {Run} run */
+  const attach = async run => ({
+    ...run,
+    handle: await fs.promises.open(path.join(dir, run.file)),
+    index: await fs.promises.readFile(path.join(dir, `${run.file}.idx`))
+  })
+
+  /** @type {OpenRun[]} */
+  let runs = await Promise.all(manifest.runs.map(attach))
+  /** @type {Map<string, { key: Buffer, value: Buffer }>} */
+  const buffer = new Map()
+
+  /**
+   * @param {string} file
+   * @param {AsyncIterable<Buffer>|Iterable<Buffer>} records Sorted by key.
+   */
+  const writeRun = async (file, records) => {
+    const handle = await fs.promises.open(path.join(dir, file), 'w')
+    const index = []
+    let count = 0
+    let pending = []
+    try {
+      for await (const record of records) {
+        if (count % INDEX_INTERVAL === 0) index.push(Buffer.from(record.subarray(0, keySize)))
+        pending.push(record)
+        count++
+        if (pending.length === CHUNK_RECORDS) {
+          await handle.write(Buffer.concat(pending))
+          pending = []
+        }
+      }
+      if (pending.length) await handle.write(Buffer.concat(pending))
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+    await writeAtomic(path.join(dir, `${file}.idx`), Buffer.concat(index))
+    return count
+  }
+
+  /** @param {AsyncIterable<Buffer>|Iterable<Buffer>} records Sorted by key. */
+  const addRun = async records => {
+    const generation = manifest.generation + 1
+    const file = `run-${generation}.bin`
+    const run = { file, count: await writeRun(file, records), generation }
+    manifest.runs.push(run)
+    manifest.generation = generation
+    await writeManifest()
+    runs.push(await attach(run))
+    return generation
+  }
+
+  /** @param {OpenRun} run */
+  const detach = async run => {
+    await run.handle.close()
+    await fs.promises.rm(path.join(dir, run.file), { force: true })
+    await fs.promises.rm(path.join(dir, `${run.file}.idx`), { force: true })
+  }
+
+  /** @param {OpenRun} run */
+  const readRun = run => readRecords(path.join(dir, run.file), recordSize)
+
+  const sortedBuffer = () => [...buffer.values()]
+    .sort((a, b) => Buffer.compare(a.key, b.key))
+    .map(({ key, value }) => Buffer.concat([key, value]))
+
+  return {
+    keySize,
+    valueSize,
+
+    get generation () { return manifest.generation },
+
+    /**
+     * Keys of `keys` in the set (hex encoded), with their values.
+     *
+     * @param {Buffer[]} keys
+     */
+    async lookup (keys) {
+      /** @type {Map<string, Buffer>} */
+      const found = new Map()
+      const hex = keys.map(k => k.toString('hex'))
+      for (const h of hex) {
+        const entry = buffer.get(h)
+        if (entry) found.set(h, entry.value)
+      }
+      for (const run of [...runs].reverse()) {
+        /** @type {Map<number, Buffer>} */
+        const blocks = new Map()
+        for (let i = 0; i < keys.length; i++) {
+          if (found.has(hex[i])) continue
+          const b = blockOf(run.index, keys[i])
+          if (b === -1) continue
+          let block = blocks.get(b)
+          if (!block) {
+            const length = Math.min(INDEX_INTERVAL, run.count - b * INDEX_INTERVAL) * recordSize
+            block = Buffer.alloc(length)
+            await run.handle.read(block, 0, length, b * INDEX_INTERVAL * recordSize)
+            blocks.set(b, block)
+          }
+          const record = search(block, keys[i], recordSize)
+          if (record) found.set(hex[i], Buffer.from(record.subarray(keySize)))
+        }
+      }
+      return found
+    },
+
+    /**
+     * @param {Buffer} key
+     * @param {Buffer} [value]
+     */
+    add (key, value = Buffer.alloc(valueSize)) {
+      buffer.set(key.toString('hex'), { key, value })
+    },
+
+    /**
+     * Write the keys added since the last flush, returning the generation
+     * that includes them.
+     */
+    async flush () {
+      if (!buffer.size) return manifest.generation
+      const generation = await addRun(sortedBuffer())
+      buffer.clear()
+      return generation
+    },
+
+    /**
+     * Called once state recording `generation` is stored. Merges runs of that
+     * generation or earlier, which can no longer be discarded on reopen.
+     *
+     * @param {number} generation
+     */
+    async commit (generation) {
+      while (true) {
+        const committed = runs.filter(r => r.generation <= generation)
+        if (committed.length < 2) return
+        const [a, b] = committed.slice(-2)
+        if (a.count > 2 * b.count) return
+
+        const file = `compact-${a.generation}-${b.generation}.bin`
+        const run = { file, count: await writeRun(file, mergeSorted([readRun(a), readRun(b)], keySize)), generation: b.generation }
+        const i = runs.indexOf(a)
+        manifest.runs.splice(i, 2, run)
+        await writeManifest()
+        runs.splice(i, 2, await attach(run))
+        await detach(a)
+        await detach(b)
+      }
+    },
+
+    /** All records in key order, including those not yet flushed. */
+    sorted () {
+      return mergeSorted([...runs.map(readRun), sortedBuffer()], keySize)
+    },
+
+    /**
+     * Add every key of `source` (flushed) to this set as one new run. Calls
+     * `onDuplicate` with the value from `source` for each key already here.
+     * Returns the new generation.
+     *
+     * @param {{ sorted: () => AsyncIterable<Buffer>, keySize: number }} source
+     * @param {(value: Buffer) => void} onDuplicate
+     */
+    async merge (source, onDuplicate) {
+      await this.flush()
+      const existing = this.sorted()[Symbol.asyncIterator]()
+      const empty = Buffer.alloc(valueSize)
+      async function * added () {
+        try {
+          let head = await existing.next()
+          for await (const record of source.sorted()) {
+            const key = record.subarray(0, keySize)
+            while (!head.done && Buffer.compare(head.value.subarray(0, keySize), key) < 0) head = await existing.next()
+            if (!head.done && Buffer.compare(head.value.subarray(0, keySize), key) === 0) {
+              onDuplicate(record.subarray(source.keySize))
+              continue
+            }
+            yield Buffer.concat([key, empty])
+          }
+        } finally {
+          await existing.return?.()
+        }
+      }
+      return await addRun(added())
+    },
+
+    async close () {
+      await Promise.all(runs.map(r => r.handle.close()))
+      runs = []
+    },
+
+    async remove () {
+      await this.close()
+      await fs.promises.rm(dir, { recursive: true, force: true })
+    }
+  }
+}
+
+/** @typedef {Awaited<ReturnType<typeof openSeenSet>>} SeenSet */
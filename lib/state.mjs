@@ -1,20 +1,234 @@
 import fs from 'node:fs'
+import { createHash } from 'node:crypto'
+
+/**
+ * State files are written as a one line JSON header followed by the encoded
+ * state:
+ *
+ *   {"version":1,"sha256":"<hex digest of payload>"}
+ *   <payload>
+ *
+ * Files written before the header existed are read as version 0.
+ *
+ * Each store replaces the file atomically (write to a temporary file, fsync,
+ * rename) and, at most once per `interval`, copies the previous file to a
+ * numbered checkpoint (`<path>.1` is the most recent) keeping `keep` of them.
+ */
+
+export const DEFAULT_KEEP = 6
+export const DEFAULT_INTERVAL = 10 * 60 * 1000
+
+/**
+ * Migrations are keyed by the version they upgrade _from_, and are applied
+ * in order to the decoded state until it reaches the current version.
+ *
+ * @typedef {Record<number, (state: any) => any>} Migrations
+ */
+
+/**
+ * @typedef {{
+ *   path: string
+ *   version?: number
+ *   migrations?: Migrations
+ *   keep?: number
+ *   interval?: number
+ * }} Conf
+ */
+
+/** @param {Uint8Array} data */
+const digest = data => createHash('sha256').update(data).digest('hex')
+
+/**
+ * @param {Uint8Array} data
+ * @param {string} path
+ */
+const unwrap = (data, path) => {
+  const i = data.indexOf(0x0a)
+  if (i === -1) return { version: 0, payload: data }
+
+  const header = JSON.parse(Buffer.from(data.subarray(0, i)).toString())
+  const payload = data.subarray(i + 1)
+  if (digest(payload) !== header.sha256) {
+    throw new Error(`state checksum mismatch: ${path}`)
+  }
+  return { version: Number(header.version), payload }
+}
+
+/**
+ * @param {Uint8Array} payload
+ * @param {number} version
+ */
+const wrap = (payload, version) => Buffer.concat([
+  Buffer.from(`${JSON.stringify({ version, sha256: digest(payload) })}\n`),
+  payload
+])
+
+/**
+ * Replace the file at `path` with `data`, so a reader sees either the old or
+ * the new contents even if the process dies part way.
+ *
+ * @param {string} path
+ * @param {Uint8Array} data
+ */
+export const writeAtomic = async (path, data) => {
+  const tmp = `${path}.${process.pid}.tmp`
+  const file = await fs.promises.open(tmp, 'w')
+  try {
+    await file.writeFile(data)
+    await file.sync()
+  } finally {
+    await file.close()
+  }
+  await fs.promises.rename(tmp, path)
+}
+
+/**
+ * @param {string} path
+ * @param {number} n
+ */
+const checkpointPath = (path, n) => `${path}.${n}`
+
+/**
+ * Copy the current state file to checkpoint 1, shifting older checkpoints up
+ * and dropping any beyond `keep`.
+ *
+ * @param {string} path
+ * @param {number} keep
+ */
+const rotate = async (path, keep) => {
+  await fs.promises.rm(checkpointPath(path, keep), { force: true })
+  for (let n = keep - 1; n > 0; n--) {
+    try {
+      await fs.promises.rename(checkpointPath(path, n), checkpointPath(path, n + 1))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+  await fs.promises.copyFile(path, checkpointPath(path, 1))
+}
+
+/**
+ * @param {string} path
+ * @param {number} interval
+ */
+const isCheckpointDue = async (path, interval) => {
+  try {
+    const stat = await fs.promises.stat(checkpointPath(path, 1))
+    return Date.now() - stat.mtimeMs >= interval
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err
+    return true
+  }
+}
+
+/**
+ * @param {Conf} conf
+ * @param {any} state
+ * @param {number} from
+ */
+const migrate = ({ path, version = 1, migrations = {} }, state, from) => {
+  if (from > version) throw new Error(`state version ${from} is newer than supported version ${version}: ${path}`)
+  for (let v = from; v < version; v++) {
+    const migration = migrations[v]
+    if (!migration) throw new Error(`no migration from state version ${v}: ${path}`)
+    state = migration(state)
+  }
+  return state
+}
 
 /**
  * @template S
- * @param {{ decode: (d: Uint8Array) => S, path: string }} conf
+ * @param {Conf & { decode: (d: Uint8Array) => S }} conf
+ * @returns {Promise<S|undefined>}
  */
-export const load = async ({ decode, path }) => {
+export const load = async conf => {
+  let data
   try {
-    return decode(await fs.promises.readFile(path))
+    data = await fs.promises.readFile(conf.path)
   } catch (err) {
     if (err.code !== 'ENOENT') throw err
+    return
   }
+  const { version, payload } = unwrap(data, conf.path)
+  return migrate(conf, conf.decode(payload), version)
 }
 
+/** @type {Map<string, Promise<void>>} */
+const pending = new Map()
+
 /**
+ * Stores to the same path are queued, so concurrent callers (e.g. shards of
+ * one walk) never interleave writes. The state is encoded when its turn comes.
+ *
  * @template S
- * @param {{ encode: (s: S) => any, path: string }} conf
+ * @param {Conf & { encode: (s: S) => Uint8Array|string }} conf
  * @param {S} state
  */
-export const store = ({ encode, path }, state) => fs.promises.writeFile(path, encode(state))
+export const store = (conf, state) => {
+  const write = (pending.get(conf.path) ?? Promise.resolve())
+    .catch(() => {})
+    .then(() => storeNow(conf, state))
+  pending.set(conf.path, write)
+  write.finally(() => {
+    if (pending.get(conf.path) === write) pending.delete(conf.path)
+  }).catch(() => {})
+  return write
+}
+
+/**
+ * @template S
+ * @param {Conf & { encode: (s: S) => Uint8Array|string }} conf
+ * @param {S} state
+ */
+const storeNow = async ({ encode, path, version = 1, keep = DEFAULT_KEEP, interval = DEFAULT_INTERVAL }, state) => {
+  const data = wrap(Buffer.from(encode(state)), version)
+  if (keep > 0 && fs.existsSync(path) && await isCheckpointDue(path, interval)) {
+    await rotate(path, keep)
+  }
+  await writeAtomic(path, data)
+}
+
+/**
+ * List checkpoints for the state file at `path`, most recent first.
+ *
+ * @param {string} path
+ * @param {number} [keep]
+ */
+export const checkpoints = async (path, keep = DEFAULT_KEEP) => {
+  const list = []
+  for (let n = 1; n <= keep; n++) {
+    let data
+    try {
+      data = await fs.promises.readFile(checkpointPath(path, n))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+      continue
+    }
+    const stat = await fs.promises.stat(checkpointPath(path, n))
+    let version
+    let valid = true
+    try {
+      version = unwrap(data, path).version
+    } catch {
+      valid = false
+    }
+    list.push({ n, path: checkpointPath(path, n), mtime: stat.mtime, version, valid })
+  }
+  return list
+}
+
+/**
+ * Replace the state file at `path` with checkpoint `n`. The replaced file is
+ * kept at `<path>.pre-rollback`.
+ *
+ * @param {string} path
+ * @param {number} n
+ */
+export const rollback = async (path, n) => {
+  const data = await fs.promises.readFile(checkpointPath(path, n))
+  unwrap(data, checkpointPath(path, n))
+  if (fs.existsSync(path)) {
+    await fs.promises.copyFile(path, `${path}.pre-rollback`)
+  }
+  await writeAtomic(path, data)
+}
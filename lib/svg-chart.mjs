@@ -0,0 +1,127 @@
+/**
+ * Inline SVG charts, for reports that must open without any scripts or
+ * network access. Hovering a point or bar shows its value (an SVG `<title>`).
+ *
+ * @typedef {{ name: string, values: Array<number|undefined> }} Series
+ * @typedef {{ title: string, labels: string[], series: Series[], format?: (value: number) => string }} Chart
+ */
+
+const WIDTH = 860
+const HEIGHT = 320
+const MARGIN = { top: 16, right: 16, bottom: 48, left: 72 }
+const PALETTE = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2']
+
+/** @param {string} value */
+export const escape = value => value
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;')
+
+/**
+ * About `count` round numbers spanning `min` to `max` (which include 0).
+ *
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [count]
+ */
+const ticks = (min, max, count = 5) => {
+  if (!(max > min)) return [min, min + 1]
+  const rough = (max - min) / count
+  const magnitude = 10 ** Math.floor(Math.log10(rough))
+  const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough) ?? rough
+  const result = []
+  for (let t = Math.floor(min / step) * step; t < max + step; t += step) result.push(t)
+  return result
+}
+
+/** @param {number} value */
+const defaultFormat = value => value.toLocaleString('en-US', { maximumFractionDigits: 2 })
+
+/**
+ * Axes, gridlines and legend around a plot drawn by `plot`.
+ *
+ * @param {Chart} chart
+ * @param {(x: (i: number) => number, y: (v: number) => number, band: number) => string[]} plot
+ */
+const frame = (chart, plot) => {
+  const format = chart.format ?? defaultFormat
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom
+  const values = chart.series.flatMap(s => s.values.filter(v => v != null).map(Number))
+  const yTicks = ticks(Math.min(0, ...values), Math.max(0, ...values))
+  const bottom = yTicks[0]
+  const top = yTicks[yTicks.length - 1]
+
+  const band = plotWidth / Math.max(1, chart.labels.length)
+  /** @param {number} i */
+  const x = i => MARGIN.left + band * (i + 0.5)
+  /** @param {number} v */
+  const y = v => MARGIN.top + plotHeight - ((v - bottom) / (top - bottom)) * plotHeight
+
+  // a label every `every` periods, so they do not overlap
+  const every = Math.max(1, Math.ceil(chart.labels.length / Math.floor(plotWidth / 56)))
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${escape(chart.title)}">`,
+    ...yTicks.map(t => `<line class="grid" x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${y(t).toFixed(1)}" y2="${y(t).toFixed(1)}"/>` +
+      `<text class="tick" x="${MARGIN.left - 6}" y="${y(t).toFixed(1)}" text-anchor="end" dominant-baseline="middle">${escape(format(t))}</text>`),
+    ...chart.labels.map((l, i) => i % every
+      ? ''
+      : `<text class="tick" x="${x(i).toFixed(1)}" y="${HEIGHT - MARGIN.bottom + 16}" text-anchor="middle">${escape(l)}</text>`),
+    ...plot(x, y, band),
+    `<line class="axis" x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${y(0)}" y2="${y(0)}"/>`,
+    ...chart.series.map((s, i) => {
+      const lx = MARGIN.left + i * 180
+      return `<rect x="${lx}" y="${HEIGHT - 18}" width="12" height="12" fill="${PALETTE[i % PALETTE.length]}"/>` +
+        `<text class="legend" x="${lx + 18}" y="${HEIGHT - 8}">${escape(s.name)}</text>`
+    }),
+    '</svg>'
+  ]
+  return parts.filter(Boolean).join('\n')
+}
+
+/**
+ * A line per series, with a gap where a value is missing.
+ *
+ * @param {Chart} chart
+ */
+export const lineChart = chart => frame(chart, (x, y) => chart.series.flatMap((s, n) => {
+  const color = PALETTE[n % PALETTE.length]
+  const format = chart.format ?? defaultFormat
+  /** @type {string[]} */
+  const segments = []
+  let current = ''
+  s.values.forEach((v, i) => {
+    if (v == null) {
+      if (current) segments.push(current)
+      current = ''
+      return
+    }
+    current += `${current ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`
+  })
+  if (current) segments.push(current)
+  return [
+    ...segments.map(d => `<path d="${d}" fill="none" stroke="${color}" stroke-width="2"/>`),
+    ...s.values.map((v, i) => v == null
+      ? ''
+      : `<circle cx="${x(i).toFixed(1)}" cy="${y(v).toFixed(1)}" r="3" fill="${color}"><title>${escape(`${s.name}, ${chart.labels[i]}: ${format(v)}`)}</title></circle>`)
+  ]
+}))
+
+/**
+ * Bars for each period, one per series side by side.
+ *
+ * @param {Chart} chart
+ */
+export const barChart = chart => frame(chart, (x, y, band) => {
+  const format = chart.format ?? defaultFormat
+  const width = (band * 0.8) / chart.series.length
+  return chart.series.flatMap((s, n) => s.values.map((v, i) => {
+    if (v == null) return ''
+    const left = x(i) - band * 0.4 + n * width
+    const top = Math.min(y(v), y(0))
+    return `<rect x="${left.toFixed(1)}" y="${top.toFixed(1)}" width="${Math.max(1, width - 1).toFixed(1)}" height="${Math.abs(y(0) - y(v)).toFixed(1)}" fill="${PALETTE[n % PALETTE.length]}">` +
+      `<title>${escape(`${s.name}, ${chart.labels[i]}: ${format(v)}`)}</title></rect>`
+  }))
+})
@@ -0,0 +1,149 @@
+import { openSeenSet, keyOf } from './seen-set.mjs'
+
+/**
+ * Tracks which content CIDs a counter has already seen, so each distinct CID
+ * is counted once: at its first upload in ID order.
+ *
+ * The CIDs seen are kept in an on-disk seen set next to the state file, and
+ * the state records its generation (see `./seen-set.mjs`). In a sharded walk
+ * each shard keeps its own set, with the upload time and size of every CID it
+ * counted. When the shards are merged, in ID order, CIDs a shard counted that
+ * an earlier shard had already seen are handed back to be subtracted.
+ *
+ * @typedef {{ generation: number }} SeenState
+ * @typedef {{ insertedAt: Date, size: number }} Duplicate
+ */
+
+/** A shard's seen set records the upload time (u32 seconds) and size (f64). */
+const SHARD_VALUE_SIZE = 12
+
+/** @param {{ insertedAt: string|Date, size: number }} item */
+const encodeValue = ({ insertedAt, size }) => {
+  const value = Buffer.alloc(SHARD_VALUE_SIZE)
+  value.writeUInt32BE(Math.floor(new Date(insertedAt).getTime() / 1000), 0)
+  value.writeDoubleBE(size, 4)
+  return value
+}
+
+/**
+ * @param {Buffer} value
+ * @returns {Duplicate}
+ */
+const decodeValue = value => ({ insertedAt: new Date(value.readUInt32BE(0) * 1000), size: value.readDoubleBE(4) })
+
+/**
+ * @param {string} statePath
+ */
+export function openUnique (statePath) {
+  /** @type {Map<string, Promise<import('./seen-set.mjs').SeenSet>>} */
+  const sets = new Map()
+  /** @type {Map<string, Promise<any>>} */
+  const locks = new Map()
+
+  /** @param {{ from: bigint }} [shard] */
+  const dirOf = shard => shard ? `${statePath}.seen-${shard.from}` : `${statePath}.seen`
+
+  /**
+   * Run `fn` with the set for `state` (or `shard`), once any other operation
+   * on the same set is done. Shards walk concurrently and commit each other's
+   * sets, so e.g. a compaction must not close a run a lookup is reading.
+   *
+   * @template R
+   * @param {{ seen?: SeenState }} state
+   * @param {{ from: bigint }|undefined} shard
+   * @param {(set: import('./seen-set.mjs').SeenSet) => Promise<R>} fn
+   * @returns {Promise<R>}
+   */
+  const withSet = (state, shard, fn) => {
+    const dir = dirOf(shard)
+    let set = sets.get(dir)
+    if (!set) {
+      set = openSeenSet(dir, { valueSize: shard ? SHARD_VALUE_SIZE : 0, generation: state.seen?.generation ?? 0 })
+      sets.set(dir, set)
+    }
+    const opened = set
+    const result = (locks.get(dir) ?? Promise.resolve()).catch(() => {}).then(async () => await fn(await opened))
+    locks.set(dir, result)
+    return result
+  }
+
+  return {
+    /**
+     * The items whose CID has not been seen before, in order. They are
+     * recorded as seen, in the set of `shard` when walking sharded.
+     *
+     * @template {{ cid: string, insertedAt: string|Date, size: number }} T
+     * @param {{ seen?: SeenState }} state
+     * @param {({ from: bigint, seen?: SeenState })|undefined} shard
+     * @param {T[]} items
+     */
+    async firsts (state, shard, items) {
+      const keys = items.map(i => keyOf(i.cid))
+      /** @type {Map<string, Buffer>} */
+      const found = shard ? await withSet(state, undefined, set => set.lookup(keys)) : new Map()
+      const target = shard ?? state
+      return await withSet(target, shard, async own => {
+        for (const [key, value] of await own.lookup(keys)) found.set(key, value)
+        const firsts = []
+        for (let i = 0; i < items.length; i++) {
+          const key = keys[i].toString('hex')
+          if (found.has(key)) continue
+          found.set(key, Buffer.alloc(0))
+          own.add(keys[i], shard ? encodeValue(items[i]) : undefined)
+          firsts.push(items[i])
+        }
+        target.seen = { generation: await own.flush() }
+        return firsts
+      })
+    },
+
+    /**
+     * Add the CIDs a completed shard saw to the main set, calling
+     * `onDuplicate` for each one the shard counted that an earlier part of the
+     * walk had already counted.
+     *
+     * @param {{ seen?: SeenState }} state
+     * @param {{ from: bigint, seen?: SeenState }} shard
+     * @param {(duplicate: Duplicate) => void} onDuplicate
+     */
+    async mergeShard (state, shard, onDuplicate) {
+      const own = await withSet(shard, shard, async set => set)
+      const generation = await withSet(state, undefined, main => main.merge(own, value => onDuplicate(decodeValue(value))))
+      state.seen = { generation }
+    },
+
+    /**
+     * Store the state with `store`, then compact the sets up to the
+     * generations it recorded and remove the sets of shards it no longer has.
+     *
+     * @param {{ seen?: SeenState, shards?: Array<{ from: bigint, seen?: SeenState }> }} state
+     * @param {() => Promise<void>} store
+     */
+    async checkpoint (state, store) {
+      // generations as of now, the stored state may record later ones
+      const committed = [
+        { part: state, shard: undefined, generation: state.seen?.generation ?? 0 },
+        ...(state.shards ?? []).map(s => ({ part: s, shard: s, generation: s.seen?.generation ?? 0 }))
+      ]
+      await store()
+
+      const live = new Set(committed.map(c => dirOf(c.shard)))
+      for (const [dir, set] of sets) {
+        if (live.has(dir)) continue
+        sets.delete(dir)
+        await (locks.get(dir) ?? Promise.resolve()).catch(() => {})
+        locks.delete(dir)
+        await (await set).remove()
+      }
+      for (const { part, shard, generation } of committed) {
+        await withSet(part, shard, set => set.commit(generation))
+      }
+    },
+
+    async close () {
+      await Promise.all([...locks.values()].map(l => l.catch(() => {})))
+      for (const set of sets.values()) await (await set).close()
+      sets.clear()
+    }
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Only the columns requested when walking are populated.
+ *
+ * @typedef {{
+ *   id: string
+ *   user_id: string
+ *   source_cid: string
+ *   content_cid: string
+ *   type: 'Blob'|'Car'|'Multipart'|'Nft'|'Remote'
+ *   inserted_at: string
+ *   deleted_at?: string
+ *   backup_urls?: string[]
+ *   files?: Array<{ name: string, type: string }>|null
+ * }} Upload
+ */
+
+/**
+ * @typedef {{ db: import('pg').PoolClient, uploads: Upload[] }} Batch
+ * @typedef {{ min: bigint, max: bigint }} Range
+ */
+
+/**
+ * @template {{ currentID: bigint }} S
+ * @typedef {(batch: Batch, state: S) => Promise<void>|void} Handler
+ */
+
+export const DEFAULT_COLUMNS = ['id', 'source_cid', 'content_cid']
+
+/**
+ * @param {import('pg').PoolClient} db
+ * @returns {Promise<Range>}
+ */
+export async function fetchUploadIdRange (db) {
+  const { rows } = await db.query('SELECT MIN(id), MAX(id) FROM upload')
+  if (!rows.length) throw new Error('no rows returned fetching min/max ID')
+  return { min: BigInt(rows[0].min), max: BigInt(rows[0].max) }
+}
+
+/**
+ * Fetch up to `limit` uploads with an ID strictly greater than `id` and no
+ * greater than `to`. Paging by the last ID seen (rather than by offset or by a
+ * fixed ID stride) visits every row exactly once, however sparse the IDs are.
+ *
+ * @param {import('pg').PoolClient} db
+ * @param {bigint} id
+ * @param {bigint} to
+ * @param {number} limit
+ * @param {string[]} [columns] Trusted column names, not user input.
+ * @returns {Promise<Upload[]>}
+ */
+export async function fetchUploadsAfter (db, id, to, limit, columns = DEFAULT_COLUMNS) {
+  if (!columns.includes('id')) columns = ['id', ...columns]
+  const { rows } = await db.query(`SELECT ${columns.join(', ')} FROM upload WHERE id > $1 AND id <= $2 ORDER BY id ASC LIMIT $3`, [id, to, limit].map(String))
+  return rows
+}
+
+/**
+ * @param {import('pg').PoolClient} db
+ * @param {bigint} from Exclusive.
+ * @param {bigint} to Inclusive.
+ */
+export async function countUploads (db, from, to) {
+  const { rows } = await db.query('SELECT COUNT(*) FROM upload WHERE id > $1 AND id <= $2', [from, to].map(String))
+  return Number(rows[0].count)
+}
+
+/**
+ * Yield pages of uploads with IDs in `(from, to]`. A pooled connection is held
+ * for the duration of each batch so consumers can run further queries on it,
+ * and is released when the consumer asks for the next batch (or stops).
+ *
+ * `cursor` is the ID of the last upload in the batch.
+ *
+ * @param {import('pg').Pool} pool
+ * @param {{ from: bigint, to: bigint, pageSize: number, columns?: string[] }} options
+ * @returns {AsyncGenerator<Batch & { cursor: bigint }>}
+ */
+export async function * batches (pool, { from, to, pageSize, columns }) {
+  let cursor = from
+  while (cursor < to) {
+    const db = await pool.connect()
+    try {
+      const uploads = await fetchUploadsAfter(db, cursor, to, pageSize, columns)
+      if (!uploads.length) return
+      for (const u of uploads) {
+        const id = BigInt(u.id)
+        if (id <= cursor) throw new Error(`upload IDs out of order: ${id} after ${cursor}`)
+        cursor = id
+      }
+      yield { db, uploads, cursor }
+    } finally {
+      db.release()
+    }
+  }
+}
+
+/**
+ * Number of distinct uploads visited in `(from, to]` during a walk, and the
+ * number the database holds in the same range.
+ *
+ * @typedef {{ from: bigint, to: bigint, visited: number, expected: number }} SelfCheck
+ */
+
+/**
+ * @param {import('pg').Pool} pool
+ * @returns {Promise<Range>}
+ */
+const fetchRange = async pool => {
+  const db = await pool.connect()
+  try {
+    return await fetchUploadIdRange(db)
+  } finally {
+    db.release()
+  }
+}
+
+/**
+ * Walk uploads after `state.currentID` (the ID of the last upload processed)
+ * up to and including `to`. Each batch is passed to every handler in turn,
+ * then `state.currentID` is advanced to the last ID in the batch and
+ * `checkpoint` is called so a restart resumes after the last completed batch.
+ *
+ * @template {{ currentID: bigint }} S
+ * @param {{
+ *   pool: import('pg').Pool
+ *   state: S
+ *   to: bigint
+ *   pageSize: number
+ *   columns?: string[]
+ *   handlers: Array<Handler<S>>
+ *   checkpoint: (state: S) => Promise<void>
+ *   onProgress?: (state: S) => void
+ *   signal?: AbortSignal
+ * }} conf
+ * @returns {Promise<SelfCheck>}
+ */
+export async function walkRange ({ pool, state, to, pageSize, columns, handlers, checkpoint, onProgress, signal }) {
+  const from = state.currentID
+  let visited = 0
+  for await (const batch of batches(pool, { from, to, pageSize, columns })) {
+    signal?.throwIfAborted()
+    for (const handler of handlers) {
+      await handler(batch, state)
+    }
+    visited += batch.uploads.length
+    state.currentID = batch.cursor
+    await checkpoint(state)
+    onProgress?.(state)
+  }
+
+  const db = await pool.connect()
+  try {
+    const to = state.currentID
+    const expected = to > from ? await countUploads(db, from, to) : 0
+    return { from, to, visited, expected }
+  } finally {
+    db.release()
+  }
+}
+
+/**
+ * Walk all uploads after `state.currentID` up to the current maximum upload
+ * ID. See `walkRange`.
+ *
+ * @template {{ currentID: bigint }} S
+ * @param {{
+ *   pool: import('pg').Pool
+ *   state: S
+ *   pageSize: number
+ *   columns?: string[]
+ *   handlers: Array<Handler<S>>
+ *   checkpoint: (state: S) => Promise<void>
+ *   onProgress?: (state: S, range: Range) => void
+ * }} conf
+ * @returns {Promise<{ range: Range, check: SelfCheck }>}
+ */
+export async function walk ({ onProgress, ...conf }) {
+  const range = await fetchRange(conf.pool)
+  onProgress?.(conf.state, range)
+  const check = await walkRange({ ...conf, to: range.max, onProgress: state => onProgress?.(state, range) })
+  return { range, check }
+}
+
+/**
+ * Split the IDs in `(from, to]` into at most `n` contiguous shards.
+ *
+ * @param {bigint} from
+ * @param {bigint} to
+ * @param {number} n
+ * @returns {Array<{ from: bigint, to: bigint }>}
+ */
+export const shard = (from, to, n) => {
+  const shards = []
+  if (to <= from) return shards
+  const size = (to - from + BigInt(n) - 1n) / BigInt(n)
+  for (let lo = from; lo < to; lo += size) {
+    shards.push({ from: lo, to: lo + size < to ? lo + size : to })
+  }
+  return shards
+}
+
+/**
+ * @typedef {{ from: bigint, to: bigint, currentID: bigint }} Shard
+ */
+
+/**
+ * Walk all uploads after `state.currentID` up to the current maximum upload
+ * ID, split into `shards` ranges that are walked concurrently. Each shard has
+ * its own cursor and totals in `state.shards`, so an interrupted run resumes
+ * every shard where it left off (and with the original boundaries, whatever
+ * `shards` is passed). Handlers are called with the shard the batch belongs
+ * to.
+ *
+ * Once every shard is complete they are folded into the state with `merge`,
+ * in ID order, `state.currentID` is set to the end of the last shard and
+ * `state.shards` is removed.
+ *
+ * @template {Shard} T
+ * @template {{ currentID: bigint, shards?: T[] }} S
+ * @param {{
+ *   pool: import('pg').Pool
+ *   state: S
+ *   shards: number
+ *   pageSize: number
+ *   columns?: string[]
+ *   handlers: Array<Handler<T>>
+ *   initShard: (range: { from: bigint, to: bigint }) => T
+ *   merge: (state: S, shard: T) => void|Promise<void>
+ *   checkpoint: (state: S) => Promise<void>
+ *   onProgress?: (state: S, range: Range) => void
+ * }} conf
+ * @returns {Promise<{ range: Range, check: SelfCheck }>}
+ */
+export async function walkSharded ({ pool, state, shards, pageSize, columns, handlers, initShard, merge, checkpoint, onProgress }) {
+  const range = await fetchRange(pool)
+  if (!state.shards) {
+    state.shards = shard(state.currentID, range.max, shards).map(initShard)
+    await checkpoint(state)
+  }
+  onProgress?.(state, range)
+
+  // stop all shards after their current batch if any one fails
+  const controller = new AbortController()
+  const results = await Promise.allSettled(state.shards.map(s => walkRange({
+    pool,
+    state: s,
+    to: s.to,
+    pageSize,
+    columns,
+    handlers,
+    checkpoint: () => checkpoint(state),
+    onProgress: () => onProgress?.(state, range),
+    signal: controller.signal
+  }).catch(err => {
+    controller.abort(err)
+    throw err
+  })))
+  if (controller.signal.aborted) throw controller.signal.reason
+  const checks = results.map(r => /** @type {PromiseFulfilledResult<SelfCheck>} */ (r).value)
+
+  for (const s of state.shards) {
+    await merge(state, s)
+    state.currentID = s.to
+  }
+  delete state.shards
+  await checkpoint(state)
+  onProgress?.(state, range)
+
+  const check = checks.reduce((a, b) => ({
+    from: a.from < b.from ? a.from : b.from,
+    to: a.to > b.to ? a.to : b.to,
+    visited: a.visited + b.visited,
+    expected: a.expected + b.expected
+  }), { from: state.currentID, to: state.currentID, visited: 0, expected: 0 })
+  return { range, check }
+}
+
+/** @param {SelfCheck} check */
+export const formatSelfCheck = ({ from, to, visited, expected }) =>
+  `${visited === expected ? '✅' : '⚠️'} visited ${visited.toLocaleString()} distinct uploads of ${expected.toLocaleString()} with IDs in (${from}, ${to}]`
@@ -0,0 +1,134 @@
+/**
+ * Usage:
+ *   NODE_TLS_REJECT_UNAUTHORIZED=0 node cli.mjs metrics list
+ *   NODE_TLS_REJECT_UNAUTHORIZED=0 node cli.mjs metrics dimensions <name>
+ *   NODE_TLS_REJECT_UNAUTHORIZED=0 node cli.mjs metrics export <name> [--dimensions key=value,...] [--kind gauge|counter] [--snapshot end|max] [--interpolate]
+ *
+ * Reads any metric in `cargo.metrics_log`. Samples with different dimensions
+ * (e.g. one per project when filtering by none) are separate series, written
+ * side by side to <out-dir>/metrics-<name>.csv. Metrics named `..._bytes...`
+ * are converted to `--unit`.
+ */
+import fs from 'node:fs'
+import path from 'node:path'
+import pg from 'pg'
+import { mustGetEnv } from './utils.mjs'
+import { resolveBucketing, periodColumn } from './lib/buckets.mjs'
+import { listMetrics, listDimensions, fetchMetric, formatDimensions, gauge, counter } from './lib/metrics.mjs'
+import { render } from './lib/report.mjs'
+
+/**
+ * Run `fn` with a database connection.
+ *
+ * @template T
+ * @param {(db: import('pg').PoolClient) => Promise<T>} fn
+ */
+const withDB = async fn => {
+  const pool = new pg.Pool({ connectionString: mustGetEnv('PROD_RO_DATABASE_CONNECTION') })
+  let db
+  try {
+    db = await pool.connect()
+    return await fn(db)
+  } finally {
+    db && db.release()
+    await pool.end()
+  }
+}
+
+/** @param {import('./cli.mjs').Options} options */
+const metricName = options => {
+  const [name] = options.args
+  if (!name) throw new Error('missing metric name')
+  return name
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function list (options) {
+  const metrics = await withDB(db => listMetrics(db))
+  for (const m of metrics) {
+    console.log(`${m.name}\t${m.samples.toLocaleString()} samples\t${new Date(m.first).toISOString()} to ${new Date(m.last).toISOString()}`)
+  }
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function dimensions (options) {
+  const name = metricName(options)
+  const sets = await withDB(db => listDimensions(db, name))
+  if (!sets.length) throw new Error(`no samples of metric: ${name}`)
+  for (const d of sets) {
+    console.log(`${formatDimensions(d.dimensions) || '(none)'}\t${d.samples.toLocaleString()} samples\tlast ${new Date(d.last).toISOString()}`)
+  }
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const name = metricName(options)
+  const kind = options.kind ?? 'gauge'
+  const bucketing = resolveBucketing(undefined, options)
+  const samples = await withDB(db => fetchMetric(db, name, options.dimensions))
+  if (!samples.length) throw new Error(`no samples of metric ${name} matching ${formatDimensions(options.dimensions) || 'any dimensions'}`)
+
+  /** @type {Map<string, import('./lib/metrics.mjs').Metric[]>} */
+  const series = new Map()
+  for (const s of samples) {
+    const key = formatDimensions(s.dimensions)
+    const list = series.get(key) ?? []
+    list.push(s)
+    series.set(key, list)
+  }
+
+  const valueKind = /_bytes(_|$)/.test(name) ? 'bytes' : 'count'
+  /** @type {import('./lib/report.mjs').Column[]} */
+  const columns = [{ key: 'period', label: periodColumn(bucketing.granularity), kind: 'label' }]
+  /** @type {Map<string, Record<string, string|number|undefined>>} */
+  const rows = new Map()
+  const keys = [...series.keys()].sort()
+  keys.forEach((key, i) => {
+    const label = keys.length > 1 ? key || '(none)' : name
+    const aggregate = kind === 'counter'
+      ? counter(series.get(key) ?? [], bucketing)
+      : gauge(series.get(key) ?? [], bucketing, { snapshot: options.snapshot, interpolate: options.interpolate })
+    for (const { from, to, period } of aggregate.drops) {
+      console.log(`⚠️ ${label} ${period}: dropped from ${from.value} to ${to.value} between ${new Date(from.collected_at).toISOString()} and ${new Date(to.collected_at).toISOString()}`)
+    }
+
+    if (kind === 'counter') {
+      columns.push({ key: `s${i}_increase`, label: `${label} Increase`, kind: valueKind, cumulative: false })
+    } else {
+      columns.push(
+        { key: `s${i}_value`, label, kind: valueKind, cumulative: true },
+        { key: `s${i}_change`, label: `${label} Change`, kind: valueKind, cumulative: false }
+      )
+    }
+    columns.push({ key: `s${i}_quality`, label: `${label} Quality`, kind: 'label' })
+
+    for (const [period, p] of Object.entries(aggregate.periods)) {
+      const row = rows.get(period) ?? { period }
+      rows.set(period, row)
+      if (kind === 'counter') {
+        row[`s${i}_increase`] = p.value
+      } else {
+        row[`s${i}_value`] = p.value
+        row[`s${i}_change`] = p.change
+      }
+      row[`s${i}_quality`] = p.quality.length ? p.quality.join(';') : 'ok'
+    }
+  })
+  console.log(`${name}: ${samples.length.toLocaleString()} samples in ${keys.length} series, ${rows.size} periods`)
+
+  /** @type {import('./lib/report.mjs').Table} */
+  const table = {
+    name: `metrics-${name}`,
+    title: `${name} (${kind}) per ${bucketing.granularity}`,
+    columns,
+    // periods a series has no samples around are left empty
+    rows: [...rows.keys()].sort().map(p => ({ ...Object.fromEntries(keys.map((_, i) => [`s${i}_quality`, 'missing'])), ...rows.get(p) }))
+  }
+  const meta = { unit: options.unit ?? 'TiB', bucketing }
+  for (const format of options.format ?? ['csv']) {
+    for (const [file, data] of render([table], format, meta)) {
+      await fs.promises.writeFile(path.join(options.outDir, file), data)
+      console.log(`wrote ${path.join(options.outDir, file)}`)
+    }
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Usage: node cli.mjs denylist publish [<cid>[/<path>] ...] [--input <path>] [--reason <text>] [--dry-run] [--yes]
+ *        node cli.mjs denylist stand-in [port]
+ *
+ * Adds CIDs (or paths within them) to the Cloudflare KV denylist. Their
+ * anchors are computed from CIDv1 base32 as `sha256("<cid>/<path>")`, and
+ * anything the local copy of the denylist (<out-dir>/denylist.json) already
+ * blocks is left out. The rest are shown, and written after confirmation
+ * (or with `--yes`) through the bulk write API. Each anchor's KV metadata
+ * records the reason and when it was added. Published anchors are logged to
+ * <out-dir>/denylist-publish.json, and reach the local copy on the next
+ * `denylist sync`.
+ *
+ * `denylist stand-in` serves a local stand-in for the KV API (see
+ * `lib/kv-stand-in.mjs`). Set `CF_API_URL=http://localhost:<port>` to sync
+ * from and publish to it.
+ */
+import fs from 'node:fs'
+import path from 'node:path'
+import { readDenyList, parseTarget, matchDenyList } from './lib/denylist.mjs'
+import { bulkWrite } from './lib/kv.mjs'
+import { createKVStandIn } from './lib/kv-stand-in.mjs'
+import { openWriter } from './lib/ndjson.mjs'
+import { denyListKV, mustGetEnv, confirm } from './utils.mjs'
+
+const STAND_IN_PORT = 8787
+
+/**
+ * CIDs and paths to denylist, from the command line and `--input` (one per
+ * line, `#` for comments).
+ *
+ * @param {import('./cli.mjs').Options} options
+ */
+const readTargets = async options => {
+  const values = [...options.args]
+  if (options.input) {
+    const text = await fs.promises.readFile(options.input, 'utf8')
+    values.push(...text.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('#')))
+  }
+  if (!values.length) throw new Error('nothing to publish, pass CIDs or --input')
+
+  const errors = []
+  /** @type {Map<string, ReturnType<typeof parseTarget>>} */
+  const targets = new Map()
+  for (const value of values) {
+    try {
+      const target = parseTarget(value)
+      targets.set(target.anchor, target)
+    } catch (err) {
+      errors.push(`${value}: ${err.message}`)
+    }
+  }
+  if (errors.length) throw new Error(`invalid CIDs:\n${errors.join('\n')}`)
+  return [...targets.values()]
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const targets = await readTargets(options)
+  const denylistPath = path.join(options.outDir, 'denylist.json')
+  if (!fs.existsSync(denylistPath)) throw new Error(`missing ${denylistPath}, run "nftstorage-tools denylist sync" first`)
+  const local = await readDenyList(denylistPath)
+
+  const fresh = []
+  for (const target of targets) {
+    const match = matchDenyList(local, target.cid, { paths: target.path ? [target.path] : [] })
+    if (match) {
+      console.log(`already denylisted: ${target.cid}${target.path ? `/${target.path}` : ''} (${match.rule} anchor ${match.anchor})`)
+      continue
+    }
+    fresh.push(target)
+  }
+  console.log(`${fresh.length.toLocaleString()} of ${targets.length.toLocaleString()} to publish`)
+  if (!fresh.length) return
+  for (const t of fresh) console.log(`  ${t.anchor}  ${t.cid}${t.path ? `/${t.path}` : ''}`)
+
+  if (options.dryRun) {
+    console.log('dry run, nothing published')
+    return
+  }
+  const kv = denyListKV()
+  if (!options.yes && !await confirm(`Publish ${fresh.length.toLocaleString()} anchors to ${kv.apiURL}?`)) {
+    console.log('nothing published')
+    return
+  }
+
+  const date = new Date().toISOString()
+  const metadata = { added: date, ...(options.reason ? { reason: options.reason } : {}) }
+  const value = JSON.stringify({ status: 410, reason: options.reason ?? '' })
+  const log = openWriter(path.join(options.outDir, 'denylist-publish.json'), { append: true })
+  let written = 0
+  try {
+    await bulkWrite(kv, fresh.map(t => ({ key: t.anchor, value, metadata })), {
+      onWritten: async pairs => {
+        for (const t of fresh.slice(written, written + pairs.length)) await log.write({ date, ...t, ...(options.reason ? { reason: options.reason } : {}) })
+        written += pairs.length
+        console.log(`published ${written.toLocaleString()} of ${fresh.length.toLocaleString()}`)
+      }
+    })
+  } finally {
+    await log.close()
+  }
+  console.log('✅ published, run "nftstorage-tools denylist sync" to update the local copy')
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function standIn (options) {
+  const port = options.args[0] ? Number(options.args[0]) : STAND_IN_PORT
+  if (!Number.isInteger(port) || port < 0) throw new Error(`invalid port: ${options.args[0]}`)
+  const { server } = createKVStandIn({ token: mustGetEnv('CF_API_TOKEN') })
+  await new Promise(resolve => server.listen(port, () => resolve(undefined)))
+  const address = server.address()
+  console.log(`KV stand-in listening, set CF_API_URL=http://localhost:${typeof address === 'object' && address ? address.port : port}`)
+}
@@ -0,0 +1,140 @@
+/**
+ * Usage: node cli.mjs purge plan [--input <path>]
+ *        node cli.mjs purge execute [--input <path>] [--dry-run] [--yes]
+ *        node cli.mjs purge stand-in [dir] [port]
+ *
+ * `purge plan` turns the output of "denylist cars" (<out-dir>/denylist-cars.json)
+ * into a plan to review, <out-dir>/purge-plan.json: the CARs to delete grouped
+ * by bucket, with their sizes and the uploads they came from. CARs that may
+ * hold content that is not denylisted are left out, and listed with the
+ * reason (see `lib/purge.mjs`).
+ *
+ * `purge execute` deletes the objects in the plan, in batches per bucket,
+ * after confirmation (or with `--yes`). Each key deleted (or failed) is
+ * logged to <out-dir>/purge.log.json, and keys already deleted are skipped
+ * when run again, so an interrupted purge can be resumed.
+ *
+ * Set `S3_ENDPOINT` to use an S3 compatible API (e.g. R2) for every region.
+ * `purge stand-in` serves a local one (see `lib/s3-stand-in.mjs`), storing
+ * objects under `dir` (default: <out-dir>/s3).
+ */
+import fs from 'node:fs'
+import path from 'node:path'
+import bytes from 'bytes'
+import { readDenyList } from './lib/denylist.mjs'
+import { openWriter, readItems } from './lib/ndjson.mjs'
+import { createS3Clients } from './lib/s3.mjs'
+import { createS3StandIn } from './lib/s3-stand-in.mjs'
+import { buildPlan, headObject, deleteObjects, DELETE_LIMIT } from './lib/purge.mjs'
+import { confirm } from './utils.mjs'
+
+const STAND_IN_PORT = 9000
+
+/** @param {import('./cli.mjs').Options} options */
+export async function plan (options) {
+  const input = options.input ?? path.join(options.outDir, 'denylist-cars.json')
+  if (!fs.existsSync(input)) throw new Error(`missing ${input}, run "nftstorage-tools denylist cars" first`)
+  const denylist = await readDenyList(path.join(options.outDir, 'denylist.json'))
+  const client = createS3Clients({ endpoint: process.env.S3_ENDPOINT })
+
+  const result = await buildPlan(readItems(input), denylist, {
+    sizeOf: carpath => headObject(client, carpath),
+    concurrency: options.concurrency
+  })
+  const planPath = path.join(options.outDir, 'purge-plan.json')
+  await fs.promises.writeFile(planPath, JSON.stringify(result, null, 2))
+
+  for (const b of result.buckets) {
+    console.log(`${b.region}/${b.bucket}: ${b.count.toLocaleString()} objects, ${bytes(b.bytes)}`)
+  }
+  /** @type {Record<string, number>} */
+  const reasons = {}
+  for (const { reason } of result.excluded) reasons[reason] = (reasons[reason] ?? 0) + 1
+  for (const [reason, n] of Object.entries(reasons)) console.log(`excluded (${reason}): ${n.toLocaleString()}`)
+  if (result.missing.length) console.log(`already gone: ${result.missing.length.toLocaleString()}`)
+  console.log(`✅ ${result.totals.count.toLocaleString()} objects to delete, reclaiming ${bytes(result.totals.bytes)}, see ${planPath}`)
+}
+
+/**
+ * Keys deleted by earlier runs, as `<region>/<bucket>/<key>`.
+ *
+ * @param {string} logPath
+ */
+const readDeleted = async logPath => {
+  const deleted = new Set()
+  if (!fs.existsSync(logPath)) return deleted
+  for await (const entry of readItems(logPath)) {
+    const { region, bucket, key, status } = /** @type {any} */ (entry)
+    if (status === 'deleted') deleted.add(`${region}/${bucket}/${key}`)
+  }
+  return deleted
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const planPath = options.input ?? path.join(options.outDir, 'purge-plan.json')
+  if (!fs.existsSync(planPath)) throw new Error(`missing ${planPath}, run "nftstorage-tools purge plan" first`)
+  /** @type {import('./lib/purge.mjs').Plan} */
+  const purgePlan = JSON.parse(await fs.promises.readFile(planPath, 'utf8'))
+  const logPath = path.join(options.outDir, 'purge.log.json')
+  const done = await readDeleted(logPath)
+
+  const todo = purgePlan.buckets.map(b => ({
+    ...b,
+    objects: b.objects.filter(o => !done.has(`${b.region}/${b.bucket}/${o.key}`))
+  })).filter(b => b.objects.length)
+  const count = todo.reduce((n, b) => n + b.objects.length, 0)
+  const size = todo.reduce((n, b) => n + b.objects.reduce((n, o) => n + o.bytes, 0), 0)
+  if (done.size) console.log(`${done.size.toLocaleString()} objects already deleted`)
+  for (const b of todo) console.log(`${b.region}/${b.bucket}: ${b.objects.length.toLocaleString()} objects`)
+  console.log(`${count.toLocaleString()} objects to delete, ${bytes(size)}`)
+  if (!count) return
+
+  if (options.dryRun) {
+    console.log('dry run, nothing deleted')
+    return
+  }
+  const endpoint = process.env.S3_ENDPOINT
+  if (!options.yes && !await confirm(`Delete ${count.toLocaleString()} objects${endpoint ? ` from ${endpoint}` : ''}?`)) {
+    console.log('nothing deleted')
+    return
+  }
+
+  const client = createS3Clients({ endpoint })
+  const log = openWriter(logPath, { append: true })
+  let deleted = 0
+  let failed = 0
+  try {
+    for (const { region, bucket, objects } of todo) {
+      for (let i = 0; i < objects.length; i += DELETE_LIMIT) {
+        const keys = objects.slice(i, i + DELETE_LIMIT).map(o => o.key)
+        const res = await deleteObjects(client(region), bucket, keys)
+        const date = new Date().toISOString()
+        for (const key of res.deleted) await log.write({ date, region, bucket, key, status: 'deleted' })
+        for (const { key, error } of res.errors) {
+          console.warn(`failed to delete ${region}/${bucket}/${key}: ${error}`)
+          await log.write({ date, region, bucket, key, status: 'failed', error })
+        }
+        deleted += res.deleted.length
+        failed += res.errors.length
+        console.log(`deleted ${deleted.toLocaleString()} of ${count.toLocaleString()}`)
+      }
+    }
+  } finally {
+    await log.close()
+  }
+  if (failed) throw new Error(`${failed.toLocaleString()} objects could not be deleted, see ${logPath}, run again to retry`)
+  console.log(`✅ deleted ${deleted.toLocaleString()} objects, reclaiming ${bytes(size)}`)
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function standIn (options) {
+  const dir = options.args[0] ?? path.join(options.outDir, 's3')
+  const port = options.args[1] ? Number(options.args[1]) : STAND_IN_PORT
+  if (!Number.isInteger(port) || port < 0) throw new Error(`invalid port: ${options.args[1]}`)
+  await fs.promises.mkdir(dir, { recursive: true })
+  const { server } = createS3StandIn({ dir })
+  await new Promise(resolve => server.listen(port, () => resolve(undefined)))
+  const address = server.address()
+  console.log(`S3 stand-in serving ${dir}, set S3_ENDPOINT=http://localhost:${typeof address === 'object' && address ? address.port : port}`)
+}
@@ -0,0 +1,128 @@
+/**
+ * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node cli.mjs count recompute
+ *
+ * Bring the `adjusted` totals of "count monthly" state up to date with the
+ * current denylist, without rescanning DAG sizes. Only uploads listed by one
+ * denylist but not the other (by their source CID in any of its forms, or
+ * their files, see `matchUpload`) are looked up. State counted with older
+ * matching rules (see `MATCHER_VERSION`) is brought up to date too. The totals are updated in one store at the end,
+ * so an interrupted run changes nothing and can be started again.
+ */
+import path from 'node:path'
+import pg from 'pg'
+import ora from 'ora'
+import bytes from 'bytes'
+import { readDenyList, writeDenyList, removeDenyList, diffDenyLists, fingerprint, isUploadDenyListed, MATCHER_VERSION } from './lib/denylist.mjs'
+import { readSnapshot } from './lib/denylist-snapshot.mjs'
+import { mustGetEnv } from './utils.mjs'
+import * as State from './lib/state.mjs'
+import * as MonthlyState from './lib/monthly-state.mjs'
+import { walkRange, formatSelfCheck } from './lib/uploads.mjs'
+import { fetchDagSizes } from './lib/dags.mjs'
+import { bucketKey } from './lib/buckets.mjs'
+
+const PAGE_SIZE = 10000
+
+/**
+ * Uploads already counted in `(from, to]`, whose totals are in `totals`.
+ *
+ * @typedef {{ from: bigint, to: bigint, totals: MonthlyState.Totals }} CountedRange
+ */
+
+/**
+ * @param {MonthlyState.State} state
+ * @returns {CountedRange[]}
+ */
+const countedRanges = state => [
+  { from: 0n, to: state.currentID, totals: state.totals },
+  ...(state.shards ?? []).map(s => ({ from: s.from, to: s.currentID, totals: s.totals }))
+].filter(r => r.to > r.from)
+
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const connectionString = mustGetEnv('PROD_RO_DATABASE_CONNECTION')
+  const pageSize = options.pageSize ?? PAGE_SIZE
+  const statePath = options.state ?? path.join(options.outDir, 'count-dag-size-monthly.state.json')
+  const state = await State.load({ path: statePath, ...MonthlyState })
+  if (!state) throw new Error('missing state')
+
+  const prev = await readSnapshot(statePath, state)
+  const next = await readDenyList(path.join(options.outDir, 'denylist.json'))
+  const { added, removed } = diffDenyLists(prev, next)
+  const matcher = state.denylist?.matcher ?? 1
+  console.log(`Denylist: ${prev.size} -> ${next.size} entries (${added.size} added, ${removed.size} removed)`)
+  if (matcher !== MATCHER_VERSION) console.log(`Matching: version ${matcher} -> ${MATCHER_VERSION}`)
+  if (!added.size && !removed.size && matcher === MATCHER_VERSION) return
+
+  const pool = new pg.Pool({ connectionString })
+  const spinner = ora().start()
+
+  /** @type {Map<MonthlyState.Totals, MonthlyState.Totals>} */
+  const deltas = new Map()
+  let changed = 0
+  const checks = []
+
+  try {
+    for (const range of countedRanges(state)) {
+      /** @type {MonthlyState.Totals} */
+      const delta = {}
+      deltas.set(range.totals, delta)
+
+      /** @type {import('./lib/uploads.mjs').Handler<{ currentID: bigint }>} */
+      const recomputeBatch = async ({ db, uploads }) => {
+        const matches = uploads
+          .map(u => ({ upload: u, listed: isUploadDenyListed(next, u, MATCHER_VERSION) }))
+          .filter(m => m.listed !== isUploadDenyListed(prev, m.upload, matcher))
+        if (!matches.length) return
+
+        const dagSizes = await fetchDagSizes(db, matches.map(m => m.upload.content_cid))
+        for (const { upload, listed } of matches) {
+          const period = bucketKey(upload.inserted_at, state.bucketing)
+          delta[period] = delta[period] ?? MonthlyState.initPeriod()
+          // newly denylisted uploads leave the adjusted totals, removed ones return
+          const sign = listed ? -1 : 1
+          delta[period].adjusted.bytes += sign * (dagSizes.sizes.get(upload.content_cid) ?? 0)
+          delta[period].adjusted.count += sign
+          changed++
+        }
+      }
+
+      const check = await walkRange({
+        pool,
+        state: { currentID: range.from },
+        to: range.to,
+        pageSize,
+        columns: ['id', 'source_cid', 'content_cid', 'inserted_at', 'files'],
+        handlers: [recomputeBatch],
+        checkpoint: async () => {},
+        onProgress: s => { spinner.text = `${s.currentID.toLocaleString()} of ${range.to.toLocaleString()} (${changed.toLocaleString()} changed)` }
+      })
+      checks.push(check)
+    }
+    spinner.stopAndPersist()
+    for (const check of checks) console.log(formatSelfCheck(check))
+  } catch (err) {
+    spinner.fail(err.stack)
+    throw err
+  } finally {
+    await pool.end()
+  }
+
+  for (const [totals, delta] of deltas) {
+    for (const period of Object.keys(delta).sort()) {
+      totals[period] = totals[period] ?? MonthlyState.initPeriod()
+      totals[period].adjusted.bytes += delta[period].adjusted.bytes
+      totals[period].adjusted.count += delta[period].adjusted.count
+      console.log(`${period}: ${delta[period].adjusted.count} uploads, ${bytes(delta[period].adjusted.bytes)}`)
+    }
+  }
+
+  const prevVersion = state.denylist
+  state.denylist = { fingerprint: fingerprint(next), size: next.size, matcher: MATCHER_VERSION }
+  await writeDenyList(MonthlyState.denyListSnapshotPath(statePath, state.denylist.fingerprint), next)
+  await State.store({ path: statePath, ...MonthlyState }, state)
+  if (prevVersion && prevVersion.fingerprint !== state.denylist.fingerprint) {
+    await removeDenyList(MonthlyState.denyListSnapshotPath(statePath, prevVersion.fingerprint))
+  }
+  console.log(`✅ adjusted totals updated for ${changed.toLocaleString()} uploads`)
+}
@@ -0,0 +1,192 @@
+/**
+ * Usage: NODE_TLS_REJECT_UNAUTHORIZED=0 node cli.mjs reconcile [--basis real|adjusted] [--compare new|total] [--threshold 10] [--drill-down]
+ *
+ * Compares the bytes uploaded per period ("count monthly" state) with the
+ * bytes stored on Filecoin ("count filecoin" output), and flags the periods
+ * where they differ by more than `threshold` percent. With `--drill-down`,
+ * lists the content CIDs uploaded in those periods that are in no Filecoin
+ * aggregate (no `cargo.aggregate_entries` row). The drill-down walks every
+ * upload, and resumes where it left off if interrupted.
+ */
+import fs from 'node:fs'
+import path from 'node:path'
+import pg from 'pg'
+import ora from 'ora'
+import bytes from 'bytes'
+import { mustGetEnv } from './utils.mjs'
+import * as State from './lib/state.mjs'
+import * as MonthlyState from './lib/monthly-state.mjs'
+import { bucketKey, periodColumn } from './lib/buckets.mjs'
+import { readDenyList, matchUpload } from './lib/denylist.mjs'
+import { walk, formatSelfCheck } from './lib/uploads.mjs'
+import { fetchAggregated, fetchDagSizes } from './lib/dags.mjs'
+import { openWriter } from './lib/ndjson.mjs'
+import { readFilecoin } from './lib/monthly-tables.mjs'
+import { render } from './lib/report.mjs'
+import { reconcileRows } from './lib/reconcile.mjs'
+
+const PAGE_SIZE = 10000
+const THRESHOLD = 0.1
+
+/**
+ * @typedef {import('./lib/reconcile.mjs').Basis} Basis
+ * @typedef {{ bytes: number, count: number }} Unaggregated
+ * @typedef {{ currentID: bigint, basis: Basis, periods: string[], unaggregated: Record<string, Unaggregated> }} DrillDownState
+ */
+
+const drillDownCodec = {
+  /** @param {Uint8Array} data */
+  decode: data => {
+    const raw = JSON.parse(Buffer.from(data).toString())
+    return /** @type {DrillDownState} */ ({ ...raw, currentID: BigInt(raw.currentID) })
+  },
+  /** @param {DrillDownState} state */
+  encode: state => JSON.stringify({ ...state, currentID: String(state.currentID) })
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const basis = options.basis ?? 'real'
+  const compare = options.compare ?? 'new'
+  const threshold = options.threshold ?? THRESHOLD
+  const statePath = options.state ?? path.join(options.outDir, 'count-dag-size-monthly.state.json')
+  const state = await State.load({ path: statePath, ...MonthlyState })
+  if (!state) throw new Error('missing state')
+  const filecoin = await readFilecoin(path.join(options.outDir, 'filecoin.json'))
+  if (!filecoin) throw new Error('missing Filecoin totals, run "nftstorage-tools count filecoin" first')
+  const { granularity, tz } = state.bucketing
+  if (filecoin.bucketing.granularity !== granularity || filecoin.bucketing.tz !== tz) {
+    throw new Error(`Filecoin totals are bucketed by ${filecoin.bucketing.granularity} (${filecoin.bucketing.tz}), not ${granularity} (${tz}) like the state`)
+  }
+
+  const rows = reconcileRows(state, filecoin, { basis, compare, threshold })
+  const diverged = rows.filter(r => r.status === 'diverged').map(r => String(r.period))
+  for (const r of rows) {
+    if (r.status === 'ok') continue
+    const detail = r.status === 'no-data' ? 'no Filecoin snapshot' : `${r.difference_pct ?? '∞'}% (${bytes(Number(r.difference))})`
+    console.log(`⚠️ ${r.period}: ${r.status}, ${detail}${r.quality !== 'ok' ? ` [${r.quality}]` : ''}`)
+  }
+  console.log(`${diverged.length} of ${rows.length} periods differ by more than ${threshold * 100}% (${basis} uploads, ${compare} data)`)
+
+  /** @type {Record<string, Unaggregated>|undefined} */
+  let unaggregated
+  if (options.drillDown && diverged.length) {
+    unaggregated = await drillDown(options, state, basis, diverged)
+  }
+
+  /** @type {import('./lib/report.mjs').Column[]} */
+  const columns = [
+    { key: 'period', label: periodColumn(granularity), kind: 'label' },
+    { key: 'uploaded_total', label: 'Total Uploaded', kind: 'bytes', cumulative: true },
+    { key: 'stored_total', label: 'Total Stored', kind: 'bytes', cumulative: true },
+    { key: 'uploaded_new', label: 'New Uploaded', kind: 'bytes', cumulative: false },
+    { key: 'stored_new', label: 'New Stored', kind: 'bytes', cumulative: false },
+    { key: 'difference', label: 'Difference', kind: 'bytes' },
+    { key: 'difference_pct', label: 'Difference (%)', kind: 'label' },
+    { key: 'quality', label: 'Filecoin Quality', kind: 'label' },
+    { key: 'status', label: 'Status', kind: 'label' }
+  ]
+  if (unaggregated) {
+    columns.push(
+      { key: 'unaggregated_uploads', label: 'Uploads Not Aggregated', kind: 'count' },
+      { key: 'unaggregated_data', label: 'Data Not Aggregated', kind: 'bytes' }
+    )
+    for (const row of rows) {
+      const u = unaggregated[String(row.period)]
+      if (!u) continue
+      row.unaggregated_uploads = u.count
+      row.unaggregated_data = u.bytes
+    }
+  }
+
+  const table = { name: 'reconcile', title: `${basis === 'real' ? 'All uploads' : 'Uploads not on the denylist'} vs. stored on Filecoin`, columns, rows }
+  const meta = { unit: options.unit ?? 'TiB', bucketing: state.bucketing }
+  for (const format of options.format ?? ['csv']) {
+    for (const [name, data] of render([table], format, meta)) {
+      await fs.promises.writeFile(path.join(options.outDir, name), data)
+      console.log(`wrote ${path.join(options.outDir, name)}`)
+    }
+  }
+}
+
+/**
+ * Walk all uploads, writing those in `periods` whose content CID is in no
+ * aggregate to <out-dir>/reconcile.unaggregated.json. Returns the number and
+ * bytes of them per period.
+ *
+ * @param {import('./cli.mjs').Options} options
+ * @param {MonthlyState.State} monthly
+ * @param {Basis} basis
+ * @param {string[]} periods
+ */
+const drillDown = async (options, monthly, basis, periods) => {
+  const connectionString = mustGetEnv('PROD_RO_DATABASE_CONNECTION')
+  const pageSize = options.pageSize ?? PAGE_SIZE
+  const statePath = path.join(options.outDir, 'reconcile.state.json')
+  const conf = { path: statePath, ...drillDownCodec }
+
+  // a drill-down into other periods starts again
+  let state = await State.load(conf)
+  if (state && (state.basis !== basis || state.periods.join() !== periods.join())) {
+    console.log('Periods to drill down into have changed, starting again')
+    state = undefined
+  }
+  const resuming = Boolean(state)
+  /** @type {DrillDownState} */
+  const current = state ?? { currentID: 0n, basis, periods, unaggregated: {} }
+  const wanted = new Set(periods)
+  const denylist = basis === 'adjusted' ? await readDenyList(path.join(options.outDir, 'denylist.json')) : undefined
+
+  const pool = new pg.Pool({ connectionString })
+  const spinner = ora().start()
+  const log = openWriter(path.join(options.outDir, 'reconcile.unaggregated.json'), { append: resuming })
+
+  /** @type {import('./lib/uploads.mjs').Handler<DrillDownState>} */
+  const drillDownBatch = async ({ db, uploads }, state) => {
+    const candidates = uploads
+      .map(u => ({ upload: u, period: bucketKey(u.inserted_at, monthly.bucketing) }))
+      .filter(c => wanted.has(c.period) && !(denylist && matchUpload(denylist, c.upload)))
+    if (!candidates.length) return
+
+    const aggregated = await fetchAggregated(db, candidates.map(c => c.upload.content_cid))
+    const missing = candidates.filter(c => !aggregated.has(c.upload.content_cid))
+    if (!missing.length) return
+    const dagSizes = await fetchDagSizes(db, missing.map(c => c.upload.content_cid))
+    for (const { upload, period } of missing) {
+      const size = dagSizes.sizes.get(upload.content_cid)
+      await log.write({ upload: upload.id, content: upload.content_cid, period, size: size ?? null })
+      const u = state.unaggregated[period] ?? (state.unaggregated[period] = { bytes: 0, count: 0 })
+      u.bytes += size ?? 0
+      u.count++
+    }
+  }
+
+  try {
+    const { check } = await walk({
+      pool,
+      state: current,
+      pageSize,
+      columns: ['id', 'source_cid', 'content_cid', 'inserted_at', 'files'],
+      handlers: [drillDownBatch],
+      checkpoint: state => State.store(conf, state),
+      onProgress: (state, range) => {
+        const found = Object.values(state.unaggregated).reduce((n, u) => n + u.count, 0)
+        spinner.text = `${state.currentID.toLocaleString()} of ${range.max.toLocaleString()} (${found.toLocaleString()} not aggregated)`
+      }
+    })
+    spinner.stopAndPersist()
+    console.log(formatSelfCheck(check))
+  } catch (err) {
+    spinner.fail(err.stack)
+    throw err
+  } finally {
+    await log.close()
+    await pool.end()
+  }
+
+  for (const period of periods) {
+    const u = current.unaggregated[period] ?? { bytes: 0, count: 0 }
+    console.log(`${period}: ${u.count.toLocaleString()} uploads not aggregated (${bytes(u.bytes)})`)
+  }
+  return current.unaggregated
+}
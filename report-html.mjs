@@ -0,0 +1,156 @@
+/**
+ * Usage: node cli.mjs report html [--unit TiB] [--from YYYY-MM] [--to YYYY-MM]
+ *
+ * Writes a single self-contained HTML page (inline CSS and SVG, no scripts)
+ * charting "count monthly" state, and the Filecoin totals "count filecoin"
+ * wrote to <out-dir>/filecoin.json if there are any.
+ */
+import fs from 'node:fs'
+import path from 'node:path'
+import * as State from './lib/state.mjs'
+import * as MonthlyState from './lib/monthly-state.mjs'
+import { periodStart } from './lib/buckets.mjs'
+import { UNITS, inDateRange, formatValue, heading } from './lib/report.mjs'
+import { realTable, adjustedTable, filecoinTable, readFilecoin } from './lib/monthly-tables.mjs'
+import { lineChart, barChart, escape } from './lib/svg-chart.mjs'
+
+const STYLE = `
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 900px; color: #111827; }
+h1 { font-size: 1.5rem; } h2 { font-size: 1.15rem; margin-top: 2.5rem; }
+.meta { color: #6b7280; } .warning { color: #b45309; }
+svg { width: 100%; height: auto; }
+svg .grid { stroke: #e5e7eb; } svg .axis { stroke: #6b7280; }
+svg .tick, svg .legend { font-size: 11px; fill: #374151; }
+table { border-collapse: collapse; font-size: 0.8rem; width: 100%; }
+th, td { padding: 0.2rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+td.number, th.number { text-align: right; font-variant-numeric: tabular-nums; }
+details { margin-top: 1rem; }
+`
+
+/**
+ * @param {import('./lib/report.mjs').Table} table
+ * @param {import('./lib/report.mjs').Unit} unit
+ */
+const htmlTable = (table, unit) => {
+  /** @param {import('./lib/report.mjs').Column} c */
+  const cls = c => c.kind === 'label' ? '' : ' class="number"'
+  return [
+    `<details><summary>${escape(table.title)}</summary><table>`,
+    `<tr>${table.columns.map(c => `<th${cls(c)}>${escape(heading(c, unit))}</th>`).join('')}</tr>`,
+    ...table.rows.map(row => `<tr>${table.columns.map(c => `<td${cls(c)}>${escape(formatValue(c, row[c.key], unit))}</td>`).join('')}</tr>`),
+    '</table></details>'
+  ].join('\n')
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const statePath = options.state ?? path.join(options.outDir, 'count-dag-size-monthly.state.json')
+  const state = await State.load({ path: statePath, ...MonthlyState })
+  if (!state) throw new Error('missing state')
+  const unit = options.unit ?? 'TiB'
+  const { granularity, tz } = state.bucketing
+
+  const warnings = []
+  if (state.uniqueFrom > 0n) warnings.push(`Unique totals only cover uploads after ID ${state.uniqueFrom}.`)
+
+  let filecoin = await readFilecoin(path.join(options.outDir, 'filecoin.json'))
+  if (filecoin && (filecoin.bucketing.granularity !== granularity || filecoin.bucketing.tz !== tz)) {
+    warnings.push(`Filecoin totals are bucketed by ${filecoin.bucketing.granularity} (${filecoin.bucketing.tz}), not ${granularity} (${tz}), and are left out.`)
+    filecoin = undefined
+  }
+
+  /** @param {string} period */
+  const inRange = period => inDateRange(periodStart(period), options)
+  /** @param {import('./lib/report.mjs').Table} table */
+  const limit = table => ({ ...table, rows: table.rows.filter(r => inRange(String(r.period))) })
+  const real = limit(realTable(state))
+  const adjusted = limit(adjustedTable(state))
+  const stored = filecoin ? limit(filecoinTable(filecoin)) : undefined
+  const flagged = (stored?.rows ?? []).filter(r => r.quality !== 'ok')
+  if (flagged.length) warnings.push(`Filecoin snapshots to treat with care: ${flagged.map(r => `${r.period} (${r.quality})`).join(', ')}.`)
+
+  const labels = [...new Set([...real.rows.map(r => String(r.period)), ...(stored?.rows ?? []).map(r => String(r.period))])].sort()
+  /**
+   * @param {import('./lib/report.mjs').Table} table
+   * @param {string} key
+   */
+  const values = (table, key) => {
+    const byPeriod = new Map(table.rows.filter(r => r[key] != null).map(r => [String(r.period), Number(r[key])]))
+    return labels.map(l => byPeriod.get(l))
+  }
+  /** @param {Array<number|undefined>} values */
+  const inUnit = values => values.map(v => v == null ? v : v / UNITS[unit])
+  /** @param {string} key */
+  const filecoinSeries = key => stored ? [{ name: 'Stored on Filecoin', values: inUnit(values(stored, key)) }] : []
+
+  /** @param {number} v */
+  const formatBytes = v => `${v.toLocaleString('en-US', { maximumFractionDigits: 2 })} ${unit}`
+  /** @param {number} v */
+  const formatCount = v => v.toLocaleString('en-US', { maximumFractionDigits: 0 })
+
+  const charts = [
+    ['Total data', lineChart({
+      title: 'Total data',
+      labels,
+      format: formatBytes,
+      series: [
+        { name: 'All uploads', values: inUnit(values(real, 'total_data')) },
+        { name: 'Not denylisted', values: inUnit(values(adjusted, 'total_data')) },
+        { name: 'Unique', values: inUnit(values(real, 'total_unique_data')) },
+        ...filecoinSeries('total_data')
+      ]
+    })],
+    [`New data per ${granularity}`, barChart({
+      title: `New data per ${granularity}`,
+      labels,
+      format: formatBytes,
+      series: [
+        { name: 'All uploads', values: inUnit(values(real, 'new_data')) },
+        { name: 'Not denylisted', values: inUnit(values(adjusted, 'new_data')) },
+        ...filecoinSeries('new_data')
+      ]
+    })],
+    ['Total uploads', lineChart({
+      title: 'Total uploads',
+      labels,
+      format: formatCount,
+      series: [
+        { name: 'All uploads', values: values(real, 'total_uploads') },
+        { name: 'Not denylisted', values: values(adjusted, 'total_uploads') },
+        { name: 'Unique CIDs', values: values(real, 'total_unique_cids') }
+      ]
+    })],
+    [`New uploads per ${granularity}`, barChart({
+      title: `New uploads per ${granularity}`,
+      labels,
+      format: formatCount,
+      series: [
+        { name: 'All uploads', values: values(real, 'new_uploads') },
+        { name: 'Not denylisted', values: values(adjusted, 'new_uploads') }
+      ]
+    })]
+  ]
+
+  const tables = stored ? [real, adjusted, stored] : [real, adjusted]
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>NFT.Storage uploads</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>NFT.Storage uploads</h1>
+<p class="meta">Per ${escape(granularity)} (${escape(tz)}), data in ${escape(unit)}. Generated ${new Date().toISOString()}.</p>
+${warnings.map(w => `<p class="warning">${escape(w)}</p>`).join('\n')}
+${charts.map(([title, svg]) => `<h2>${escape(title)}</h2>\n${svg}`).join('\n')}
+<h2>Data</h2>
+${tables.map(t => htmlTable(t, unit)).join('\n')}
+</body>
+</html>
+`
+  const file = path.join(options.outDir, 'report.html')
+  await fs.promises.writeFile(file, html)
+  console.log(`wrote ${file}`)
+}
@@ -0,0 +1,29 @@
+/**
+ * Usage: node cli.mjs state checkpoints --state ./out/count-dag-size-monthly.state.json
+ *        node cli.mjs state rollback --state ./out/count-dag-size-monthly.state.json --checkpoint 2
+ */
+import * as State from './lib/state.mjs'
+
+/** @param {import('./cli.mjs').Options} options */
+const mustGetStatePath = options => {
+  if (!options.state) throw new Error('missing required option: --state')
+  return options.state
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function list (options) {
+  const statePath = mustGetStatePath(options)
+  const checkpoints = await State.checkpoints(statePath)
+  if (!checkpoints.length) return console.log(`no checkpoints for ${statePath}`)
+  for (const c of checkpoints) {
+    console.log(`${c.n}: ${c.mtime.toISOString()} ${c.valid ? `version ${c.version}` : '❌ corrupt'} (${c.path})`)
+  }
+}
+
+/** @param {import('./cli.mjs').Options} options */
+export async function rollback (options) {
+  const statePath = mustGetStatePath(options)
+  const n = options.checkpoint ?? 1
+  await State.rollback(statePath, n)
+  console.log(`✅ restored ${statePath} from checkpoint ${n}`)
+}
@@ -1,67 +1,254 @@
+/**
+ * Usage: node cli.mjs denylist sync [--sources kv,badbits:<path|url>,deny:<path|url>]
+ *        node cli.mjs denylist history <cid|anchor>
+ *
+ * Ingests a snapshot of each source (see `lib/denylist-sources.mjs`) to
+ * <out-dir>/denylist-sources/<name>.json, then merges them into one
+ * deduplicated list at <out-dir>/denylist.json, and compiles it to an index
+ * for lookups (see `lib/denylist-index.mjs`). Each anchor's sources, and its
+ * KV expiration and metadata, are written to <out-dir>/denylist.provenance.json.
+ *
+ * The anchors added and removed since the last sync are written to
+ * <out-dir>/denylist.diff.json, and appended to the dated history in
+ * <out-dir>/denylist.history.json (see `lib/denylist-history.mjs`). The first
+ * sync records every anchor as added.
+ *
+ * A KV snapshot pages through the whole namespace, and resumes from the last
+ * page read if interrupted. Other sources are read in full every time.
+ */
 import fs from 'node:fs'
-import { Writable } from 'node:stream'
-import dotenv from 'dotenv'
-import { Stringify } from 'ndjson-web'
-import retry from 'p-retry'
-import { mustGetEnv } from './utils.mjs'
-
-dotenv.config()
+import path from 'node:path'
+import { pipeline } from 'node:stream/promises'
+import * as State from './lib/state.mjs'
+import { compileDenyList } from './lib/denylist-index.mjs'
+import { readDenyList, cidForms, anchor } from './lib/denylist.mjs'
+import { readKV, readFileSource, mergeSources, formatSource } from './lib/denylist-sources.mjs'
+import { diffSorted, readHistory } from './lib/denylist-history.mjs'
+import { openWriter, readItems } from './lib/ndjson.mjs'
+import { denyListKV } from './utils.mjs'
 
 /**
- * @typedef {{ cursor: string }} State
+ * `cursor` is where an unfinished KV snapshot resumes from, and `size` the
+ * bytes of its partial file written up to it.
+ *
+ * @typedef {import('./lib/denylist-sources.mjs').Source} Source
+ * @typedef {{ sources: Record<string, { cursor: string, size: number }> }} State
  */
 
-const statePath = './out/sync-denylist.state.json'
+const stateCodec = {
+  /** @param {Uint8Array} data */
+  decode: data => /** @type {State} */ (JSON.parse(Buffer.from(data).toString())),
+  /** @param {State} state */
+  encode: state => JSON.stringify(state),
+  version: 4,
+  /** @type {import('./lib/state.mjs').Migrations} */
+  migrations: {
+    0: state => state,
+    // the KV cursor was the only state before there were other sources
+    1: state => ({ sources: state.cursor ? { kv: { cursor: state.cursor } } : {} }),
+    // KV was appended to from the last cursor, rather than snapshotted
+    2: () => ({ sources: {} }),
+    // the size of the partial KV snapshot was not recorded
+    3: () => ({ sources: {} })
+  }
+}
+
+/** @type {Source[]} */
+const DEFAULT_SOURCES = [{ name: 'kv', kind: 'kv' }]
+
+/** @param {import('./cli.mjs').Options} options */
+export async function main (options) {
+  const sources = options.sources ?? DEFAULT_SOURCES
+  const statePath = options.state ?? path.join(options.outDir, 'sync-denylist.state.json')
+  const conf = { path: statePath, ...stateCodec }
+  const state = (await State.load(conf)) ?? { sources: {} }
+  const dir = path.join(options.outDir, 'denylist-sources')
+  await fs.promises.mkdir(dir, { recursive: true })
+
+  for (const source of sources) {
+    const file = path.join(dir, `${source.name}.json`)
+    const { count, skipped } = source.kind === 'kv'
+      ? await ingestKV(source, file, state, conf)
+      : await ingestFile(source, file)
+    const reasons = Object.entries(skipped).map(([reason, n]) => `${n.toLocaleString()} ${reason}`)
+    console.log(`${formatSource(source)}: ${count.toLocaleString()} entries${reasons.length ? `, skipped ${reasons.join(', ')}` : ''}`)
+  }
 
-/** @returns {Promise<State>} */
-async function loadState () {
+  // KV snapshots are in sorted order with their metadata, other sources are
+  // sorted and deduplicated by their index
+  /** @type {Array<import('./lib/denylist.mjs').DenyList>} */
+  const opened = []
+  /** @param {string} file */
+  const sorted = async file => {
+    const denylist = await readDenyList(file)
+    opened.push(denylist)
+    return mapAnchors(denylist)
+  }
+  const lists = []
+  for (const source of sources) {
+    const file = path.join(dir, `${source.name}.json`)
+    lists.push({ name: source.name, entries: source.kind === 'kv' ? readItems(file) : await sorted(file) })
+  }
+
+  const denylistPath = path.join(options.outDir, 'denylist.json')
+  const provenancePath = path.join(options.outDir, 'denylist.provenance.json')
+  const diffPath = path.join(options.outDir, 'denylist.diff.json')
+  const historyPath = path.join(options.outDir, 'denylist.history.json')
+  // the provenance of the last sync is in sorted order
+  const prev = fs.existsSync(provenancePath)
+    ? readItems(provenancePath)
+    : fs.existsSync(denylistPath) ? await sorted(denylistPath) : []
+
+  const date = new Date().toISOString()
+  const merged = openWriter(`${denylistPath}.tmp`)
+  const provenance = openWriter(`${provenancePath}.tmp`)
+  const diff = openWriter(`${diffPath}.tmp`)
+  /** @type {Record<string, number>} */
+  const only = {}
+  const counts = { total: 0, added: 0, removed: 0 }
   try {
-    const data = JSON.parse(await fs.promises.readFile(statePath, 'utf-8'))
-    return { cursor: data.cursor }
-  } catch (err) {
-    if (err.code !== 'ENOENT') throw err
-    return { cursor: '' }
+    for await (const { change, entry } of diffSorted(prev, mergeSources(lists))) {
+      if (change) {
+        await diff.write({ date, change, ...entry })
+        counts[change]++
+      }
+      if (change === 'removed') continue
+      const sources = entry.sources ?? []
+      await merged.write(entry.anchor)
+      await provenance.write(entry)
+      if (sources.length === 1) only[sources[0]] = (only[sources[0]] ?? 0) + 1
+      counts.total++
+    }
+  } finally {
+    await merged.close()
+    await provenance.close()
+    await diff.close()
+    for (const denylist of opened) denylist.close?.()
+  }
+  await fs.promises.rename(`${provenancePath}.tmp`, provenancePath)
+  await fs.promises.rename(`${denylistPath}.tmp`, denylistPath)
+  await fs.promises.rename(`${diffPath}.tmp`, diffPath)
+  await pipeline(fs.createReadStream(diffPath), fs.createWriteStream(historyPath, { flags: 'a' }))
+
+  for (const source of sources) {
+    console.log(`${source.name}: ${(only[source.name] ?? 0).toLocaleString()} anchors on no other source`)
   }
+  console.log(`${counts.added.toLocaleString()} anchors added, ${counts.removed.toLocaleString()} removed since the last sync (${diffPath})`)
+  const count = await compileDenyList(denylistPath)
+  console.log(`merged ${sources.length} sources into ${counts.total.toLocaleString()} anchors, compiled to ${denylistPath}.idx (${count.toLocaleString()})`)
 }
 
-/** @param {State} state */
-async function saveState (state) {
-  const data = { cursor: state.cursor }
-  await fs.promises.writeFile(statePath, JSON.stringify(data))
+/** @param {import('./lib/denylist.mjs').DenyList} denylist */
+function * mapAnchors (denylist) {
+  for (const a of denylist) yield { anchor: a }
 }
 
-const accountID = mustGetEnv('CF_ACCOUNT_ID')
-const namespaceID = mustGetEnv('CF_DENYLIST_NAMESPACE_ID')
-const apiToken = mustGetEnv('CF_API_TOKEN')
+/**
+ * Take a snapshot of the Cloudflare KV namespace, replacing `file` once it is
+ * complete. Each page is written to the partial file before its cursor is
+ * stored, so on resume the file is truncated to the size stored with the
+ * cursor, dropping anything written after it.
+ *
+ * @param {Source} source
+ * @param {string} file
+ * @param {State} state
+ * @param {State.Conf & typeof stateCodec} conf
+ */
+const ingestKV = async (source, file, state, conf) => {
+  const partial = `${file}.partial`
+  let { cursor, size } = state.sources[source.name] ?? { cursor: '', size: 0 }
+  if (cursor) {
+    const written = fs.existsSync(partial) ? (await fs.promises.stat(partial)).size : -1
+    if (written < size) {
+      console.log(`${formatSource(source)}: ${written < 0 ? 'missing' : 'incomplete'} ${partial}, starting again`)
+      cursor = ''
+      size = 0
+    }
+  }
+  await fs.promises.writeFile(partial, '', { flag: 'a' })
+  await fs.promises.truncate(partial, size)
 
-const state = await loadState()
+  const kv = readKV(denyListKV(), cursor)
+  const handle = await fs.promises.open(partial, 'a')
+  let count = 0
+  /** @type {Record<string, number>} */
+  const skipped = {}
+  try {
+    for await (const batch of kv) {
+      const data = Buffer.from(batch.entries.map(e => `${JSON.stringify(e)}\n`).join(''))
+      await handle.write(data)
+      size += data.length
+      count += batch.entries.length
+      for (const [reason, n] of Object.entries(batch.skipped)) skipped[reason] = (skipped[reason] ?? 0) + n
+      if (batch.cursor) {
+        await handle.sync()
+        state.sources[source.name] = { cursor: batch.cursor, size }
+        await State.store(conf, state)
+      }
+    }
+  } finally {
+    await handle.close()
+  }
+  await fs.promises.rename(partial, file)
+  delete state.sources[source.name]
+  await State.store(conf, state)
+  return { count, skipped }
+}
 
-const source = new ReadableStream({
-  async pull (controller) {
-    const url = new URL(`https://api.cloudflare.com/client/v4/accounts/${accountID}/storage/kv/namespaces/${namespaceID}/keys`)
-    url.searchParams.set('cursor', state.cursor)
-    const page = await retry(async () => {
-      const res = await fetch(url.toString(), {
-        headers: {
-          Authorization: `bearer ${apiToken}`,
-          'Content-Type': 'application/json'
-        }
-      })
-      if (!res.ok) throw new Error(`failed to fetch page: ${res.status}`)
-      return await res.json()
-    }, { onFailedAttempt: console.error })
-    
-    for (const { name } of page.result) {
-      controller.enqueue(name)
+/**
+ * Read a `badbits` or `deny` source in full, replacing `file`.
+ *
+ * @param {Source} source
+ * @param {string} file
+ */
+const ingestFile = async (source, file) => {
+  const writer = openWriter(`${file}.tmp`)
+  let count = 0
+  /** @type {Record<string, number>} */
+  const skipped = {}
+  try {
+    const onHeader = (/** @type {Record<string, string>} */ header) => {
+      const fields = Object.entries(header).map(([k, v]) => `${k}: ${v}`)
+      if (fields.length) console.log(`${formatSource(source)}: ${fields.join(', ')}`)
     }
-    if (!page.result_info.cursor) {
-      return controller.close()
+    for await (const batch of readFileSource(source, { onHeader })) {
+      for (const entry of batch.entries) await writer.write(entry)
+      count += batch.entries.length
+      for (const [reason, n] of Object.entries(batch.skipped)) skipped[reason] = (skipped[reason] ?? 0) + n
     }
-    state.cursor = page.result_info.cursor
-    await saveState(state)
+  } finally {
+    await writer.close()
   }
-})
+  await fs.promises.rename(`${file}.tmp`, file)
+  return { count, skipped }
+}
+
+/**
+ * Print when a CID (in any of its forms) or an anchor was added to and
+ * removed from the denylist.
+ *
+ * @param {import('./cli.mjs').Options} options
+ */
+export async function history (options) {
+  const [target] = options.args
+  if (!target) throw new Error('missing CID or anchor')
+  const anchors = /^[0-9a-f]{64}$/.test(target)
+    ? new Set([target])
+    : new Set(cidForms(target).map(([, cid]) => anchor(cid)))
+  const historyPath = path.join(options.outDir, 'denylist.history.json')
+  if (!fs.existsSync(historyPath)) throw new Error(`missing history: ${historyPath}, run "nftstorage-tools denylist sync" first`)
 
-await source
-  .pipeThrough(new Stringify())
-  .pipeTo(Writable.toWeb(fs.createWriteStream('./out/denylist.json', { flags: state.cursor ? 'a' : 'w' })))
+  const changes = await readHistory(historyPath, anchors)
+  if (!changes.length) {
+    console.log(`${target}: never on the denylist`)
+    return
+  }
+  for (const c of changes) {
+    const details = [
+      c.sources && `sources: ${c.sources.join(', ')}`,
+      c.expiration && `expires: ${new Date(c.expiration * 1000).toISOString()}`,
+      c.metadata != null && `metadata: ${JSON.stringify(c.metadata)}`
+    ].filter(Boolean)
+    console.log(`${c.date}\t${c.change}\t${c.anchor}${details.length ? `\t${details.join('\t')}` : ''}`)
+  }
+}
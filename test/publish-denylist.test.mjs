@@ -0,0 +1,53 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createKVStandIn } from '../lib/kv-stand-in.mjs'
+import { readDenyList, matchDenyList, parseTarget } from '../lib/denylist.mjs'
+import { readItems } from '../lib/ndjson.mjs'
+import * as Publish from '../publish-denylist.mjs'
+import * as Sync from '../sync-denylist.mjs'
+
+const CID = 'QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n'
+
+test('publishes to the KV stand-in and syncs the result back', async t => {
+  const outDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'publish-denylist-'))
+  const { server, namespaces } = createKVStandIn({ token: 'test' })
+  await new Promise(resolve => server.listen(0, () => resolve(undefined)))
+  const address = /** @type {import('node:net').AddressInfo} */ (server.address())
+  Object.assign(process.env, {
+    CF_API_URL: `http://localhost:${address.port}`,
+    CF_ACCOUNT_ID: 'account',
+    CF_DENYLIST_NAMESPACE_ID: 'denylist',
+    CF_API_TOKEN: 'test'
+  })
+  t.after(async () => {
+    server.close()
+    await fs.promises.rm(outDir, { recursive: true, force: true })
+  })
+
+  await Sync.main({ outDir, args: [] })
+  await Publish.main({ outDir, args: [CID, `${CID}/a.txt`], reason: 'test', yes: true })
+
+  const { anchor, cid } = parseTarget(CID)
+  const stored = namespaces.get('denylist')?.get(anchor)
+  assert.ok(stored, 'anchor written to KV')
+  assert.equal(stored.metadata.reason, 'test')
+  const logged = []
+  for await (const entry of readItems(path.join(outDir, 'denylist-publish.json'))) logged.push(entry)
+  assert.equal(logged.length, 2)
+
+  await Sync.main({ outDir, args: [] })
+  const denylist = await readDenyList(path.join(outDir, 'denylist.json'))
+  t.after(() => denylist.close?.())
+  assert.equal(denylist.size, 2)
+  assert.equal(matchDenyList(denylist, CID)?.cid, cid)
+  assert.ok(denylist.has(parseTarget(`${CID}/a.txt`).anchor))
+  assert.equal(matchDenyList(denylist, 'bafkreiem4twkqzsq2aj4shbycd4yvoj2cx72vezicletlhi7dijjciqpui', { paths: ['a.txt'] }), undefined)
+
+  // publishing again leaves out what the synced copy already has
+  const before = namespaces.get('denylist')?.size
+  await Publish.main({ outDir, args: [CID], yes: true })
+  assert.equal(namespaces.get('denylist')?.size, before)
+})
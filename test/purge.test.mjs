@@ -0,0 +1,85 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { PutObjectCommand } from '@aws-sdk/client-s3'
+import { createS3StandIn } from '../lib/s3-stand-in.mjs'
+import { createS3Clients } from '../lib/s3.mjs'
+import { anchor } from '../lib/denylist.mjs'
+import { readItems } from '../lib/ndjson.mjs'
+import * as Purge from '../purge.mjs'
+
+const DENIED = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+const ALLOWED = 'bafkreiem4twkqzsq2aj4shbycd4yvoj2cx72vezicletlhi7dijjciqpui'
+const REGION = 'us-east-1'
+const BUCKET = 'carpark'
+
+/** @param {string} file */
+const readLog = async file => {
+  const entries = []
+  for await (const entry of readItems(file)) entries.push(/** @type {any} */ (entry))
+  return entries
+}
+
+test('plans and executes a purge through the S3 stand-in, resuming where it stopped', async t => {
+  const outDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'purge-'))
+  const { server } = createS3StandIn({ dir: path.join(outDir, 's3') })
+  await new Promise(resolve => server.listen(0, () => resolve(undefined)))
+  const address = /** @type {import('node:net').AddressInfo} */ (server.address())
+  Object.assign(process.env, {
+    S3_ENDPOINT: `http://localhost:${address.port}`,
+    AWS_ACCESS_KEY_ID: 'test',
+    AWS_SECRET_ACCESS_KEY: 'test'
+  })
+  t.after(async () => {
+    server.close()
+    await fs.promises.rm(outDir, { recursive: true, force: true })
+  })
+
+  // more CARs than are deleted in one request, one of them already gone
+  const s3 = createS3Clients({ endpoint: process.env.S3_ENDPOINT })(REGION)
+  const keys = Array.from({ length: 1200 }, (_, i) => `raw/${DENIED}/user/${i}.car`)
+  for (const key of keys.slice(1)) {
+    await s3.send(new PutObjectCommand({ Bucket: BUCKET, Key: key, Body: new Uint8Array(100) }))
+  }
+  const shared = `raw/${ALLOWED}/user/shared.car`
+  await s3.send(new PutObjectCommand({ Bucket: BUCKET, Key: shared, Body: new Uint8Array(10) }))
+
+  await fs.promises.writeFile(path.join(outDir, 'denylist.json'), `${JSON.stringify(anchor(DENIED))}\n`)
+  await fs.promises.writeFile(path.join(outDir, 'denylist-cars.json'), [
+    { upload: '1', root: DENIED, keys: keys.slice(0, 700).map(k => `${REGION}/${BUCKET}/${k}`) },
+    { upload: '2', root: DENIED, keys: keys.slice(600).map(k => `${REGION}/${BUCKET}/${k}`), cars: [{ key: `${REGION}/${BUCKET}/${shared}`, unsafe: true }] }
+  ].map(l => `${JSON.stringify(l)}\n`).join(''))
+
+  await Purge.plan({ outDir, args: [] })
+  /** @type {import('../lib/purge.mjs').Plan} */
+  const plan = JSON.parse(await fs.promises.readFile(path.join(outDir, 'purge-plan.json'), 'utf8'))
+  assert.deepEqual(plan.totals, { count: 1199, bytes: 119900, excluded: 1, missing: 1 })
+  assert.equal(plan.buckets.length, 1)
+  assert.deepEqual(plan.excluded.map(e => [e.reason, e.root]), [['not-denylisted', ALLOWED]])
+  assert.deepEqual(plan.buckets[0].objects.find(o => o.key === keys[650])?.uploads, ['1', '2'])
+
+  const logPath = path.join(outDir, 'purge.log.json')
+  await Purge.main({ outDir, args: [], dryRun: true })
+  assert.equal(fs.existsSync(logPath), false)
+  assert.equal(fs.readdirSync(path.join(outDir, 's3', BUCKET, 'raw', DENIED, 'user')).length, 1199)
+
+  await Purge.main({ outDir, args: [], yes: true })
+  const logged = await readLog(logPath)
+  assert.equal(logged.length, 1199)
+  assert.ok(logged.every(e => e.status === 'deleted'))
+  assert.deepEqual(fs.readdirSync(path.join(outDir, 's3', BUCKET, 'raw', DENIED, 'user')), [])
+  assert.ok(fs.existsSync(path.join(outDir, 's3', BUCKET, shared)))
+
+  // as if the run had stopped after the first 300 deletions were logged
+  await fs.promises.writeFile(logPath, logged.slice(0, 300).map(e => `${JSON.stringify(e)}\n`).join(''))
+  await Purge.main({ outDir, args: [], yes: true })
+  const resumed = await readLog(logPath)
+  assert.equal(resumed.length, 1199)
+  assert.deepEqual(new Set(resumed.map(e => e.key)), new Set(logged.map(e => e.key)))
+
+  // nothing is left to do once every key is logged as deleted
+  await Purge.main({ outDir, args: [], yes: true })
+  assert.equal((await readLog(logPath)).length, 1199)
+})
@@ -1,6 +1,35 @@
+import readline from 'node:readline/promises'
+
 /** @param {string} key */
 export const mustGetEnv = key => {
   const val = process.env[key]
   if (!val) throw new Error(`missing environment variable: ${key}`)
   return val
-}
\ No newline at end of file
+}
+/**
+ * The Cloudflare KV denylist namespace. `CF_API_URL` points it at another
+ * Cloudflare API, e.g. a local stand-in (see `lib/kv-stand-in.mjs`).
+ *
+ * @returns {import('./lib/kv.mjs').KVConfig}
+ */
+export const denyListKV = () => ({
+  apiURL: process.env.CF_API_URL || 'https://api.cloudflare.com/client/v4',
+  accountID: mustGetEnv('CF_ACCOUNT_ID'),
+  namespaceID: mustGetEnv('CF_DENYLIST_NAMESPACE_ID'),
+  apiToken: mustGetEnv('CF_API_TOKEN')
+})
+
+/**
+ * Ask a yes/no question on the terminal, defaulting to no.
+ *
+ * @param {string} question
+ */
+export const confirm = async question => {
+  if (!process.stdin.isTTY) throw new Error('not a terminal, pass --yes to go ahead without confirming')
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout })
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim())
+  } finally {
+    rl.close()
+  }
+}